@@ -5,6 +5,14 @@ import rateLimit from 'express-rate-limit';
 import { createClient } from 'redis';
 import axios from 'axios';
 import winston from 'winston';
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { parse as parseCsv } from 'csv-parse/sync';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import promClient from 'prom-client';
+import Joi from 'joi';
 
 /* ==================== LOGGER ==================== */
 const logger = winston.createLogger({
@@ -21,21 +29,319 @@ const logger = winston.createLogger({
 });
 
 /* ==================== CONFIG ==================== */
-const config = {
-  port: process.env.PORT || 3000,
-  redisUrl: process.env.REDIS_URL || 'redis://redis:6379',
-  cacheTTL: 300,
-  openRouteServiceKey: process.env.ORS_API_KEY || '5b3ce3597851110001cf6248YOUR_KEY_HERE',
-  tomtomApiKey: process.env.TOMTOM_API_KEY || 'YOUR_TOMTOM_API_KEY'
+const ROUTING_PROVIDER_IDS = ['ors', 'osrm', 'graphhopper', 'valhalla'];
+const GEOCODING_PROVIDER_IDS = ['nominatim', 'opencage', 'photon', 'gazetteer'];
+const INCIDENT_PROVIDER_IDS = ['tomtom', 'local'];
+
+const list = value => value.split(',').map(v => v.trim()).filter(Boolean);
+const httpUrl = Joi.string().uri({ scheme: ['http', 'https'] }).allow(null).default(null);
+const secret = Joi.string().allow(null).default(null);
+const feedSource = Joi.string().uri({ scheme: ['http', 'https', 'file'], allowRelative: true }).allow(null).default(null);
+const timezone = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch {
+    return helpers.error('any.invalid');
+  }
+});
+
+const CONFIG_SCHEMA = {
+  nodeEnv: { env: 'NODE_ENV', schema: Joi.string().valid('development', 'production', 'test').default('development') },
+  logLevel: { env: 'LOG_LEVEL', schema: Joi.string().valid('error', 'warn', 'info', 'debug').default('info') },
+  port: { env: 'PORT', schema: Joi.number().port().default(3000) },
+  allowedOrigins: { env: 'ALLOWED_ORIGINS', parse: list, schema: Joi.array().items(Joi.string()).min(1).default(['*']) },
+  rateLimitWindow: { env: 'RATE_LIMIT_WINDOW_MS', schema: Joi.number().integer().min(1000).default(15 * 60 * 1000) },
+  rateLimitMax: { env: 'RATE_LIMIT_MAX', schema: Joi.number().integer().min(1).default(100) },
+  adminToken: { env: 'ADMIN_TOKEN', secret: true, schema: secret },
+  redisUrl: { env: 'REDIS_URL', secret: true, schema: Joi.string().uri({ scheme: ['redis', 'rediss'] }).default('redis://redis:6379') },
+  cacheTTL: { env: 'CACHE_TTL', schema: Joi.number().integer().min(1).default(300) },
+  geocodeCacheTTL: { env: 'GEOCODE_CACHE_TTL', schema: Joi.number().integer().min(1).default(3600) },
+  routeCacheTTL: { env: 'ROUTE_CACHE_TTL', schema: Joi.number().integer().min(1).default(3600) },
+  trafficCacheTTL: { env: 'TRAFFIC_CACHE_TTL', schema: Joi.number().integer().min(1).default(180) },
+  requestTimeout: { env: 'REQUEST_TIMEOUT', schema: Joi.number().integer().min(100).default(10000) },
+  trafficRequestTimeout: { env: 'TRAFFIC_REQUEST_TIMEOUT', schema: Joi.number().integer().min(100).default(5000) },
+  openRouteServiceKey: { env: 'ORS_API_KEY', secret: true, schema: secret },
+  tomtomApiKey: { env: 'TOMTOM_API_KEY', secret: true, schema: secret },
+  openCageKey: { env: 'OPENCAGE_API_KEY', secret: true, schema: secret },
+  graphHopperKey: { env: 'GRAPHHOPPER_API_KEY', secret: true, schema: secret },
+  geocodingProviders: {
+    env: 'GEOCODING_PROVIDERS',
+    parse: list,
+    schema: Joi.array().items(Joi.string().valid(...GEOCODING_PROVIDER_IDS)).min(1).default(GEOCODING_PROVIDER_IDS)
+  },
+  geocodingSuggestProviders: {
+    env: 'GEOCODING_SUGGEST_PROVIDERS',
+    parse: list,
+    schema: Joi.array().items(Joi.string().valid(...GEOCODING_PROVIDER_IDS)).min(1).default(['photon', 'opencage', 'gazetteer'])
+  },
+  geocodingMinConfidence: { env: 'GEOCODING_MIN_CONFIDENCE', schema: Joi.number().min(0).max(1).default(0.5) },
+  nominatimUrl: { env: 'NOMINATIM_URL', schema: httpUrl.default('https://nominatim.openstreetmap.org') },
+  photonUrl: { env: 'PHOTON_URL', schema: httpUrl.default('https://photon.komoot.io') },
+  gazetteerPath: { env: 'GAZETTEER_PATH', schema: Joi.string().default('./data/gazetteer.csv') },
+  routingProviders: {
+    env: 'ROUTING_PROVIDERS',
+    parse: list,
+    schema: Joi.array().items(Joi.string().valid(...ROUTING_PROVIDER_IDS)).min(1).default(['ors'])
+  },
+  incidentProviders: {
+    env: 'INCIDENT_PROVIDERS',
+    parse: list,
+    schema: Joi.array().items(Joi.string().valid(...INCIDENT_PROVIDER_IDS)).min(1).default(INCIDENT_PROVIDER_IDS)
+  },
+  incidentsPath: { env: 'INCIDENTS_PATH', schema: Joi.string().default('./data/incidents.json') },
+  incidentCacheTTL: { env: 'INCIDENT_CACHE_TTL', schema: Joi.number().integer().min(1).default(120) },
+  incidentRouteTolerance: { env: 'INCIDENT_ROUTE_TOLERANCE', schema: Joi.number().integer().min(1).default(50) },
+  closureAvoidRadius: { env: 'CLOSURE_AVOID_RADIUS', schema: Joi.number().integer().min(20).max(2000).default(150) },
+  osrmUrl: { env: 'OSRM_URL', schema: httpUrl },
+  graphHopperUrl: { env: 'GRAPHHOPPER_URL', schema: httpUrl },
+  valhallaUrl: { env: 'VALHALLA_URL', schema: httpUrl },
+  gtfsPath: { env: 'GTFS_PATH', schema: Joi.string().default('./data/gtfs.zip') },
+  timezone: { env: 'CITY_TIMEZONE', schema: timezone.default('Africa/Casablanca') },
+  maxWalkingDistance: { env: 'MAX_WALKING_DISTANCE', schema: Joi.number().integer().min(0).default(800) },
+  maxTransferDistance: { env: 'MAX_TRANSFER_DISTANCE', schema: Joi.number().integer().min(0).default(400) },
+  walkingSpeed: { env: 'WALKING_SPEED', schema: Joi.number().positive().max(5).default(1.4) },
+  transferPenalty: { env: 'TRANSFER_PENALTY', schema: Joi.number().integer().min(0).default(180) },
+  wheelchairSpeed: { env: 'WHEELCHAIR_SPEED', schema: Joi.number().positive().max(5).default(0.9) },
+  wheelchairMaxWalkingDistance: { env: 'WHEELCHAIR_MAX_WALKING_DISTANCE', schema: Joi.number().integer().min(0).default(500) },
+  wheelchairMaxTransfers: { env: 'WHEELCHAIR_MAX_TRANSFERS', schema: Joi.number().integer().min(0).max(5).default(1) },
+  wheelchairTransferTime: { env: 'WHEELCHAIR_TRANSFER_TIME', schema: Joi.number().integer().min(0).default(180) },
+  wheelchairMaxIncline: { env: 'WHEELCHAIR_MAX_INCLINE', schema: Joi.number().valid(3, 6, 10, 15).default(6) },
+  wheelchairAllowUnknown: { env: 'WHEELCHAIR_ALLOW_UNKNOWN', schema: Joi.boolean().default(true) },
+  maxAlternatives: { env: 'MAX_ALTERNATIVES', schema: Joi.number().integer().min(1).max(10).default(3) },
+  gtfsRtTripUpdatesUrl: { env: 'GTFS_RT_TRIP_UPDATES_URL', secret: true, schema: feedSource },
+  gtfsRtVehiclePositionsUrl: { env: 'GTFS_RT_VEHICLE_POSITIONS_URL', secret: true, schema: feedSource },
+  gtfsRtAlertsUrl: { env: 'GTFS_RT_ALERTS_URL', secret: true, schema: feedSource },
+  gtfsRtPollInterval: { env: 'GTFS_RT_POLL_INTERVAL', schema: Joi.number().integer().min(5).default(30) },
+  trafficGeohashPrecision: { env: 'TRAFFIC_GEOHASH_PRECISION', schema: Joi.number().integer().min(4).max(9).default(7) },
+  trafficSampleInterval: { env: 'TRAFFIC_SAMPLE_INTERVAL', schema: Joi.number().integer().min(50).default(500) },
+  trafficMaxSamples: { env: 'TRAFFIC_MAX_SAMPLES', schema: Joi.number().integer().min(2).default(20) },
+  trafficHistoryPath: { env: 'TRAFFIC_HISTORY_PATH', schema: Joi.string().default('./history/traffic') },
+  trafficHistoryRetentionDays: { env: 'TRAFFIC_HISTORY_RETENTION_DAYS', schema: Joi.number().integer().min(1).default(56) },
+  trafficProfileMinSamples: { env: 'TRAFFIC_PROFILE_MIN_SAMPLES', schema: Joi.number().integer().min(1).default(3) },
+  trafficRealtimeHorizon: { env: 'TRAFFIC_REALTIME_HORIZON', schema: Joi.number().integer().min(0).default(900) },
+  trafficConcurrency: { env: 'TRAFFIC_CONCURRENCY', schema: Joi.number().integer().min(1).default(4) },
+  trafficSegmentTolerance: { env: 'TRAFFIC_SEGMENT_TOLERANCE', schema: Joi.number().integer().min(0).default(15) },
+  anomalyDelayThreshold: { env: 'ANOMALY_DELAY_THRESHOLD', schema: Joi.number().integer().min(0).default(300) },
+  anomalyDeviationThreshold: { env: 'ANOMALY_DEVIATION_THRESHOLD', schema: Joi.number().integer().min(0).default(200) },
+  costModel: {
+    env: 'CITY_COST_MODEL',
+    parse: JSON.parse,
+    schema: Joi.object({
+      currency: Joi.string().pattern(/^[A-Z]{3}$/).default('MAD'),
+      emissions: Joi.object({
+        driving: Joi.number().min(0).default(192),
+        cycling: Joi.number().min(0).default(0),
+        walking: Joi.number().min(0).default(0),
+        wheelchair: Joi.number().min(0).default(0),
+        bus: Joi.number().min(0).default(68),
+        tramway: Joi.number().min(0).default(4),
+        metro: Joi.number().min(0).default(4),
+        train: Joi.number().min(0).default(14),
+        other: Joi.number().min(0).default(68)
+      }).default(),
+      fuelPrice: Joi.number().min(0).default(13.5),
+      fuelConsumption: Joi.number().min(0).default(7),
+      vehicleCostPerKm: Joi.number().min(0).default(0),
+      parkingCost: Joi.number().min(0).default(5),
+      transitFare: Joi.number().min(0).default(8)
+    }).default()
+  },
+  scoringWeights: {
+    env: 'SCORING_WEIGHTS',
+    parse: JSON.parse,
+    schema: Joi.object({
+      duration: Joi.number().min(0).default(0.35),
+      transfers: Joi.number().min(0).default(0.25),
+      walking: Joi.number().min(0).default(0.15),
+      congestion: Joi.number().min(0).default(0.15),
+      density: Joi.number().min(0).default(0.10)
+    }).default()
+  }
+};
+
+function loadConfig(env = process.env) {
+  const errors = [];
+  const sources = {};
+  let file = {};
+
+  if (env.CONFIG_FILE) {
+    try {
+      file = JSON.parse(fs.readFileSync(env.CONFIG_FILE, 'utf8'));
+    } catch (err) {
+      errors.push(`CONFIG_FILE (${env.CONFIG_FILE}): ${err.message}`);
+    }
+  }
+
+  const raw = {};
+  for (const [key, entry] of Object.entries(CONFIG_SCHEMA)) {
+    const value = env[entry.env];
+    if (value !== undefined && value !== '') {
+      try {
+        raw[key] = entry.parse ? entry.parse(value) : value;
+        sources[key] = 'env';
+      } catch (err) {
+        errors.push(`${entry.env}: ${err.message}`);
+      }
+    } else if (file[key] !== undefined) {
+      raw[key] = file[key];
+      sources[key] = 'file';
+    } else {
+      sources[key] = 'default';
+    }
+  }
+
+  for (const key of Object.keys(file).filter(k => !CONFIG_SCHEMA[k])) {
+    errors.push(`CONFIG_FILE: clé inconnue "${key}"`);
+  }
+
+  const schema = Joi.object(Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA).map(([key, entry]) => [key, entry.schema.label(entry.env)])
+  ));
+  const { value, error } = schema.validate(raw, { abortEarly: false, convert: true });
+  if (error) errors.push(...error.details.map(d => d.message));
+
+  if (errors.length) {
+    throw new Error(`Configuration invalide:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { config: value, sources };
+}
+
+let config, configSources;
+try {
+  ({ config, sources: configSources } = loadConfig());
+  logger.level = config.logLevel;
+} catch (err) {
+  logger.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+function publicConfig() {
+  return Object.fromEntries(Object.entries(config).map(([key, value]) => [
+    key,
+    CONFIG_SCHEMA[key].secret ? (value ? '********' : null) : value
+  ]));
+}
+
+/* ==================== METRICS ==================== */
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  httpRequests: new promClient.Counter({
+    name: 'http_requests_total',
+    help: 'Nombre de requêtes HTTP',
+    labelNames: ['method', 'path', 'status'],
+    registers: [metricsRegistry]
+  }),
+  httpDuration: new promClient.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Durée des requêtes HTTP',
+    labelNames: ['method', 'path', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [metricsRegistry]
+  }),
+  cacheRequests: new promClient.Counter({
+    name: 'cache_requests_total',
+    help: 'Nombre de lectures du cache',
+    labelNames: ['prefix'],
+    registers: [metricsRegistry]
+  }),
+  cacheHits: new promClient.Counter({
+    name: 'cache_hits_total',
+    help: 'Lectures du cache réussies',
+    labelNames: ['prefix'],
+    registers: [metricsRegistry]
+  }),
+  cacheMisses: new promClient.Counter({
+    name: 'cache_misses_total',
+    help: 'Lectures du cache manquées',
+    labelNames: ['prefix'],
+    registers: [metricsRegistry]
+  }),
+  upstreamRequests: new promClient.Counter({
+    name: 'upstream_requests_total',
+    help: 'Appels aux fournisseurs externes',
+    labelNames: ['provider', 'outcome'],
+    registers: [metricsRegistry]
+  }),
+  upstreamDuration: new promClient.Histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Durée des appels aux fournisseurs externes',
+    labelNames: ['provider'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [metricsRegistry]
+  }),
+  fallbacks: new promClient.Counter({
+    name: 'fallbacks_total',
+    help: 'Utilisations des modes dégradés',
+    labelNames: ['service'],
+    registers: [metricsRegistry]
+  }),
+  routeOptimizations: new promClient.Counter({
+    name: 'route_optimizations_total',
+    help: "Nombre d'optimisations d'itinéraires",
+    labelNames: ['status'],
+    registers: [metricsRegistry]
+  }),
+  anomaliesDetected: new promClient.Counter({
+    name: 'anomalies_detected_total',
+    help: "Nombre d'anomalies détectées",
+    labelNames: ['type', 'severity'],
+    registers: [metricsRegistry]
+  })
 };
 
+async function trackUpstream(provider, request) {
+  const end = metrics.upstreamDuration.startTimer({ provider });
+  try {
+    const res = await request();
+    metrics.upstreamRequests.inc({ provider, outcome: 'success' });
+    return res;
+  } catch (err) {
+    metrics.upstreamRequests.inc({ provider, outcome: 'error' });
+    throw err;
+  } finally {
+    end();
+  }
+}
+
 /* ==================== APP ==================== */
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
 const app = express();
 
+app.use((req, res, next) => {
+  const end = metrics.httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      path: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+    metrics.httpRequests.inc(labels);
+    end(labels);
+  });
+  next();
+});
 app.use(helmet());
-app.use(cors({ origin: '*', credentials: true }));
+app.use(cors({
+  origin: config.allowedOrigins.includes('*') ? '*' : config.allowedOrigins,
+  credentials: true
+}));
 app.use(express.json({ limit: '10mb' }));
-app.use('/api/', rateLimit({ windowMs: 15 * 60 * 1000, max: 100 }));
+app.use('/api/', rateLimit({
+  windowMs: config.rateLimitWindow,
+  max: config.rateLimitMax,
+  message: { error: { code: 'RATE_LIMITED', message: 'Trop de requêtes, réessayez plus tard' } }
+}));
 
 /* ==================== REDIS ==================== */
 let redisClient = null;
@@ -55,11 +361,18 @@ let redisClient = null;
 /* ==================== CACHE SERVICE ==================== */
 class CacheService {
   static async get(key) {
-    if (!redisClient?.isOpen) return null;
+    const prefix = key.split(':')[0];
+    metrics.cacheRequests.inc({ prefix });
+    if (!redisClient?.isOpen) {
+      metrics.cacheMisses.inc({ prefix });
+      return null;
+    }
     try {
       const data = await redisClient.get(key);
+      (data ? metrics.cacheHits : metrics.cacheMisses).inc({ prefix });
       return data ? JSON.parse(data) : null;
     } catch {
+      metrics.cacheMisses.inc({ prefix });
       return null;
     }
   }
@@ -73,108 +386,762 @@ class CacheService {
 }
 
 /* ==================== GEOCODING ==================== */
+class NominatimGeocoder {
+  static id = 'nominatim';
+
+  static isConfigured() {
+    return Boolean(config.nominatimUrl);
+  }
+
+  static async search(address, limit) {
+    const res = await axios.get(`${config.nominatimUrl}/search`, {
+      params: { q: address, format: 'json', limit, 'accept-language': 'fr' },
+      headers: { 'User-Agent': 'TransportOptimizer/1.0' },
+      timeout: config.requestTimeout
+    });
+
+    return (res.data || []).map(r => ({
+      lat: parseFloat(r.lat),
+      lon: parseFloat(r.lon),
+      display_name: r.display_name,
+      confidence: Math.min(1, r.importance ?? 0.5)
+    }));
+  }
+
+  static async reverse(lat, lon) {
+    const res = await axios.get(`${config.nominatimUrl}/reverse`, {
+      params: { lat, lon, format: 'json', zoom: 18, 'accept-language': 'fr' },
+      headers: { 'User-Agent': 'TransportOptimizer/1.0' },
+      timeout: config.requestTimeout
+    });
+
+    if (!res.data?.display_name) return [];
+    return [{
+      lat: parseFloat(res.data.lat),
+      lon: parseFloat(res.data.lon),
+      display_name: res.data.display_name,
+      confidence: Math.max(0, 1 - RouteService.haversineDistance(lat, lon, res.data.lat, res.data.lon) / 500)
+    }];
+  }
+}
+
+class OpenCageGeocoder {
+  static id = 'opencage';
+
+  static isConfigured() {
+    return Boolean(config.openCageKey);
+  }
+
+  static async search(address, limit) {
+    const res = await axios.get('https://api.opencagedata.com/geocode/v1/json', {
+      params: { q: address, key: config.openCageKey, limit, language: 'fr', no_annotations: 1 },
+      timeout: config.requestTimeout
+    });
+
+    return (res.data?.results || []).map(r => ({
+      lat: r.geometry.lat,
+      lon: r.geometry.lng,
+      display_name: r.formatted,
+      confidence: (r.confidence ?? 5) / 10
+    }));
+  }
+
+  static async reverse(lat, lon) {
+    return this.search(`${lat},${lon}`, 1);
+  }
+}
+
+class PhotonGeocoder {
+  static id = 'photon';
+
+  static isConfigured() {
+    return Boolean(config.photonUrl);
+  }
+
+  static async search(address, limit) {
+    const res = await axios.get(`${config.photonUrl}/api/`, {
+      params: { q: address, limit, lang: 'fr' },
+      timeout: config.requestTimeout
+    });
+
+    return (res.data?.features || []).map(f => {
+      const p = f.properties;
+      const display_name = [p.name, p.street, p.city, p.country].filter(Boolean).join(', ');
+      return {
+        lat: f.geometry.coordinates[1],
+        lon: f.geometry.coordinates[0],
+        display_name,
+        confidence: Gazetteer.similarity(address, p.name || display_name)
+      };
+    });
+  }
+
+  static async reverse(lat, lon) {
+    const res = await axios.get(`${config.photonUrl}/reverse`, {
+      params: { lat, lon, limit: 1, lang: 'fr' },
+      timeout: config.requestTimeout
+    });
+
+    return (res.data?.features || []).map(f => {
+      const p = f.properties;
+      const [fLon, fLat] = f.geometry.coordinates;
+      return {
+        lat: fLat,
+        lon: fLon,
+        display_name: [p.name, p.housenumber && p.street ? `${p.housenumber} ${p.street}` : p.street, p.city, p.country]
+          .filter(Boolean).join(', '),
+        confidence: Math.max(0, 1 - RouteService.haversineDistance(lat, lon, fLat, fLon) / 500)
+      };
+    });
+  }
+}
+
+class Gazetteer {
+  static id = 'gazetteer';
+  static places = [];
+
+  static normalize(text) {
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\u0600-\u06ff]+/g, ' ')
+      .trim();
+  }
+
+  static similarity(query, name, partial = false) {
+    const q = [...new Set(this.normalize(query).split(' ').filter(Boolean))];
+    const n = new Set(this.normalize(name).split(' ').filter(Boolean));
+    if (!q.length || !n.size) return 0;
+
+    const last = q[q.length - 1];
+    const matches = t => q.includes(t) || (partial && t.startsWith(last));
+    const common = [...n].filter(matches).length;
+    return Math.round((0.7 * common / n.size + 0.3 * Math.min(1, common / q.length)) * 100) / 100;
+  }
+
+  static load(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    const places = ext === '.csv'
+      ? parseCsv(content, { columns: true, skip_empty_lines: true, trim: true, bom: true }).map(r => ({
+        name: r.name,
+        lat: parseFloat(r.lat),
+        lon: parseFloat(r.lon),
+        type: r.type || 'place'
+      }))
+      : JSON.parse(content).features
+        .filter(f => f.geometry?.type === 'Point')
+        .map(f => ({
+          name: f.properties.name,
+          lat: f.geometry.coordinates[1],
+          lon: f.geometry.coordinates[0],
+          type: f.properties.type || 'place'
+        }));
+
+    this.places = places.filter(p => p.name && Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    logger.info(`✅ Gazetteer chargé (${this.places.length} lieux)`);
+  }
+
+  static entries() {
+    const stops = GtfsStore.feed
+      ? [...GtfsStore.feed.stops.values()]
+        .filter(s => s.locationType === 0 || s.locationType === 1)
+        .map(s => ({ name: s.name, lat: s.lat, lon: s.lon, type: 'stop' }))
+      : [];
+    return [...this.places, ...stops];
+  }
+
+  static isConfigured() {
+    return this.places.length > 0 || GtfsStore.isLoaded();
+  }
+
+  static async search(address, limit, partial = false) {
+    const seen = new Set();
+    return this.entries()
+      .map(p => ({ ...p, confidence: this.similarity(address, p.name, partial) }))
+      .filter(p => p.confidence >= (partial ? 0.3 : 0.5))
+      .sort((a, b) => b.confidence - a.confidence)
+      .filter(p => !seen.has(p.name) && seen.add(p.name))
+      .slice(0, limit)
+      .map(p => ({ lat: p.lat, lon: p.lon, display_name: p.name, type: p.type, confidence: p.confidence }));
+  }
+
+  static async suggest(query, limit) {
+    return this.search(query, limit, true);
+  }
+
+  static async reverse(lat, lon, radius = 300) {
+    const nearest = this.entries()
+      .map(p => ({ ...p, distance: RouteService.haversineDistance(lat, lon, p.lat, p.lon) }))
+      .filter(p => p.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    if (!nearest) return [];
+    return [{
+      lat: nearest.lat,
+      lon: nearest.lon,
+      display_name: nearest.name,
+      type: nearest.type,
+      confidence: Math.round((1 - nearest.distance / radius) * 100) / 100
+    }];
+  }
+}
+
+const GEOCODING_PROVIDERS = Object.fromEntries(
+  [NominatimGeocoder, OpenCageGeocoder, PhotonGeocoder, Gazetteer].map(p => [p.id, p])
+);
+
 class GeocodingService {
+  static chain() {
+    return config.geocodingProviders
+      .map(id => GEOCODING_PROVIDERS[id])
+      .filter(provider => provider?.isConfigured());
+  }
+
+  static status() {
+    return config.geocodingProviders.map(id => ({
+      provider: id,
+      configured: GEOCODING_PROVIDERS[id]?.isConfigured() || false
+    }));
+  }
+
+  static async resolve(location) {
+    return location.address ? this.geocode(location.address) : location;
+  }
+
   static async geocode(address) {
-    const cacheKey = `geocode:${address}`;
+    return this.firstConfident(`geocode:${address}`, provider => provider.search(address, 1));
+  }
+
+  static async reverse(lat, lon) {
+    return this.firstConfident(
+      `geocode:reverse:${lat.toFixed(4)}:${lon.toFixed(4)}`,
+      provider => provider.reverse(lat, lon)
+    );
+  }
+
+  static async firstConfident(cacheKey, query) {
     const cached = await CacheService.get(cacheKey);
     if (cached) return cached;
 
-    try {
-      const res = await axios.get(
-        'https://nominatim.openstreetmap.org/search',
-        {
-          params: { q: address, format: 'json', limit: 1 },
-          headers: { 'User-Agent': 'TransportOptimizer/1.0' },
-          timeout: 10000
+    let best = null;
+    for (const provider of this.chain()) {
+      try {
+        const [result] = provider === Gazetteer
+          ? await query(provider)
+          : await trackUpstream(provider.id, () => query(provider));
+        if (!result) continue;
+
+        if (!best || result.confidence > best.confidence) best = { ...result, provider: provider.id };
+        if (result.confidence >= config.geocodingMinConfidence) break;
+      } catch (err) {
+        logger.warn(`Géocodage ${provider.id} indisponible (${err.message})`);
+      }
+    }
+
+    if (!best) return null;
+
+    await CacheService.set(cacheKey, best, config.geocodeCacheTTL);
+    return best;
+  }
+
+  static async suggest(query, limit = 8) {
+    const cacheKey = `geocode:suggest:${Gazetteer.normalize(query)}:${limit}`;
+    const cached = await CacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const providers = config.geocodingSuggestProviders
+      .map(id => GEOCODING_PROVIDERS[id])
+      .filter(provider => provider?.isConfigured());
+
+    const local = providers.includes(Gazetteer)
+      ? (await Gazetteer.suggest(query, limit)).map(r => ({ ...r, provider: Gazetteer.id }))
+      : [];
+
+    let remote = [];
+    for (const provider of providers.filter(p => p !== Gazetteer)) {
+      try {
+        const results = await trackUpstream(provider.id, () => provider.search(query, limit));
+        remote = results.map(r => ({ ...r, type: r.type || 'place', provider: provider.id }));
+        if (remote.length) break;
+      } catch (err) {
+        logger.warn(`Suggestions ${provider.id} indisponibles (${err.message})`);
+      }
+    }
+
+    const seen = new Set();
+    const suggestions = [...local, ...remote]
+      .sort((a, b) => b.confidence - a.confidence)
+      .filter(r => {
+        const key = `${Gazetteer.normalize(r.display_name)}:${r.lat.toFixed(3)}:${r.lon.toFixed(3)}`;
+        return !seen.has(key) && seen.add(key);
+      })
+      .slice(0, limit);
+
+    await CacheService.set(cacheKey, suggestions, config.geocodeCacheTTL);
+    return suggestions;
+  }
+}
+
+/* ==================== ROUTING PROVIDERS ==================== */
+const ROUTING_PROFILES = ['driving', 'cycling', 'walking', 'wheelchair'];
+const FALLBACK_SPEEDS = { driving: 8.33, cycling: 4.17 };
+
+class OpenRouteServiceProvider {
+  static id = 'ors';
+  static profiles = { driving: 'driving-car', cycling: 'cycling-regular', walking: 'foot-walking', wheelchair: 'wheelchair' };
+
+  static isConfigured() {
+    return Boolean(config.openRouteServiceKey);
+  }
+
+  static async route(oLat, oLon, dLat, dLon, profile, avoid = []) {
+    const options = {
+      ...(avoid.length && {
+        avoid_polygons: { type: 'MultiPolygon', coordinates: avoid.map(a => [a.polygon.map(([lat, lon]) => [lon, lat])]) }
+      }),
+      ...(profile === 'wheelchair' && {
+        profile_params: { restrictions: { maximum_incline: config.wheelchairMaxIncline, maximum_sloped_kerb: 0.03 } }
+      })
+    };
+    const res = await axios.post(
+      `https://api.openrouteservice.org/v2/directions/${this.profiles[profile]}/geojson`,
+      {
+        coordinates: [[oLon, oLat], [dLon, dLat]],
+        elevation: false,
+        instructions: true,
+        ...(Object.keys(options).length && { options })
+      },
+      {
+        headers: {
+          'Authorization': config.openRouteServiceKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: config.requestTimeout
+      }
+    );
+
+    const route = res.data?.features?.[0];
+    if (!route) return null;
+
+    const segment = route.properties.segments[0];
+    return {
+      coordinates: route.geometry.coordinates.map(c => [c[1], c[0]]),
+      distance: segment.distance,
+      duration: segment.duration,
+      steps: (segment.steps || []).map(s => ({
+        instruction: s.instruction,
+        name: s.name,
+        distance: s.distance,
+        duration: s.duration
+      }))
+    };
+  }
+
+  static async isochrone(lat, lon, profile, ranges) {
+    const res = await axios.post(
+      `https://api.openrouteservice.org/v2/isochrones/${this.profiles[profile]}`,
+      { locations: [[lon, lat]], range: ranges, range_type: 'time' },
+      {
+        headers: {
+          'Authorization': config.openRouteServiceKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: config.requestTimeout
+      }
+    );
+
+    const features = res.data?.features || [];
+    return ranges.map(range => features.find(f => f.properties.value === range)?.geometry || null);
+  }
+}
+
+class OsrmProvider {
+  static id = 'osrm';
+  static profiles = { driving: 'driving', cycling: 'cycling', walking: 'foot' };
+
+  static isConfigured() {
+    return Boolean(config.osrmUrl);
+  }
+
+  static async route(oLat, oLon, dLat, dLon, profile) {
+    const res = await axios.get(
+      `${config.osrmUrl}/route/v1/${this.profiles[profile]}/${oLon},${oLat};${dLon},${dLat}`,
+      {
+        params: { overview: 'full', geometries: 'geojson', steps: true },
+        timeout: config.requestTimeout
+      }
+    );
+
+    const route = res.data?.routes?.[0];
+    if (res.data?.code !== 'Ok' || !route) return null;
+
+    return {
+      coordinates: route.geometry.coordinates.map(c => [c[1], c[0]]),
+      distance: route.distance,
+      duration: route.duration,
+      steps: (route.legs[0]?.steps || []).map(s => ({
+        instruction: [s.maneuver.type, s.maneuver.modifier].filter(Boolean).join(' '),
+        name: s.name,
+        distance: s.distance,
+        duration: s.duration
+      }))
+    };
+  }
+}
+
+class GraphHopperProvider {
+  static id = 'graphhopper';
+  static profiles = { driving: 'car', cycling: 'bike', walking: 'foot' };
+
+  static isConfigured() {
+    return Boolean(config.graphHopperUrl);
+  }
+
+  static async route(oLat, oLon, dLat, dLon, profile, avoid = []) {
+    const params = new URLSearchParams({
+      profile: this.profiles[profile],
+      points_encoded: 'false',
+      instructions: 'true',
+      locale: 'fr'
+    });
+    params.append('point', `${oLat},${oLon}`);
+    params.append('point', `${dLat},${dLon}`);
+    if (config.graphHopperKey) params.append('key', config.graphHopperKey);
+
+    const res = avoid.length
+      ? await axios.post(`${config.graphHopperUrl}/route${config.graphHopperKey ? `?key=${config.graphHopperKey}` : ''}`, {
+        profile: this.profiles[profile],
+        points: [[oLon, oLat], [dLon, dLat]],
+        points_encoded: false,
+        instructions: true,
+        locale: 'fr',
+        'ch.disable': true,
+        custom_model: {
+          priority: [{ if: 'in_closures', multiply_by: '0' }],
+          areas: {
+            type: 'FeatureCollection',
+            features: [{
+              type: 'Feature',
+              id: 'closures',
+              properties: {},
+              geometry: { type: 'MultiPolygon', coordinates: avoid.map(a => [a.polygon.map(([lat, lon]) => [lon, lat])]) }
+            }]
+          }
         }
-      );
+      }, { timeout: config.requestTimeout })
+      : await axios.get(`${config.graphHopperUrl}/route?${params}`, { timeout: config.requestTimeout });
 
-      if (!res.data?.[0]) return null;
+    const path = res.data?.paths?.[0];
+    if (!path) return null;
 
-      const geo = {
-        lat: parseFloat(res.data[0].lat),
-        lon: parseFloat(res.data[0].lon),
-        display_name: res.data[0].display_name
-      };
+    return {
+      coordinates: path.points.coordinates.map(c => [c[1], c[0]]),
+      distance: path.distance,
+      duration: path.time / 1000,
+      steps: (path.instructions || []).map(s => ({
+        instruction: s.text,
+        name: s.street_name,
+        distance: s.distance,
+        duration: s.time / 1000
+      }))
+    };
+  }
+}
 
-      await CacheService.set(cacheKey, geo, 3600);
-      return geo;
-    } catch (err) {
-      logger.error('Geocoding error:', err.message);
-      return null;
+class ValhallaProvider {
+  static id = 'valhalla';
+  static profiles = { driving: 'auto', cycling: 'bicycle', walking: 'pedestrian', wheelchair: 'pedestrian' };
+
+  static isConfigured() {
+    return Boolean(config.valhallaUrl);
+  }
+
+  static decodePolyline(encoded, precision = 6) {
+    const factor = 10 ** precision;
+    const coordinates = [];
+    let index = 0, lat = 0, lon = 0;
+
+    while (index < encoded.length) {
+      for (const axis of ['lat', 'lon']) {
+        let shift = 0, result = 0, byte;
+        do {
+          byte = encoded.charCodeAt(index++) - 63;
+          result |= (byte & 0x1f) << shift;
+          shift += 5;
+        } while (byte >= 0x20);
+        const delta = result & 1 ? ~(result >> 1) : result >> 1;
+        if (axis === 'lat') lat += delta; else lon += delta;
+      }
+      coordinates.push([lat / factor, lon / factor]);
     }
+    return coordinates;
+  }
+
+  static async route(oLat, oLon, dLat, dLon, profile, avoid = []) {
+    const res = await axios.post(
+      `${config.valhallaUrl}/route`,
+      {
+        locations: [{ lat: oLat, lon: oLon }, { lat: dLat, lon: dLon }],
+        costing: this.profiles[profile],
+        ...(profile === 'wheelchair' && {
+          costing_options: { pedestrian: { type: 'wheelchair', use_hills: 0, step_penalty: 3600 } }
+        }),
+        directions_options: { units: 'kilometers', language: 'fr-FR' },
+        ...(avoid.length && { exclude_polygons: avoid.map(a => a.polygon.map(([lat, lon]) => [lon, lat])) })
+      },
+      { timeout: config.requestTimeout }
+    );
+
+    const trip = res.data?.trip;
+    if (!trip?.legs?.length) return null;
+
+    return {
+      coordinates: trip.legs.flatMap(l => this.decodePolyline(l.shape)),
+      distance: trip.summary.length * 1000,
+      duration: trip.summary.time,
+      steps: trip.legs.flatMap(l => l.maneuvers || []).map(m => ({
+        instruction: m.instruction,
+        name: m.street_names?.[0] || '',
+        distance: m.length * 1000,
+        duration: m.time
+      }))
+    };
+  }
+
+  static async isochrone(lat, lon, profile, ranges) {
+    const res = await axios.post(
+      `${config.valhallaUrl}/isochrone`,
+      {
+        locations: [{ lat, lon }],
+        costing: this.profiles[profile],
+        ...(profile === 'wheelchair' && {
+          costing_options: { pedestrian: { type: 'wheelchair', use_hills: 0, step_penalty: 3600 } }
+        }),
+        contours: ranges.map(range => ({ time: range / 60 })),
+        polygons: true
+      },
+      { timeout: config.requestTimeout }
+    );
+
+    const features = res.data?.features || [];
+    return ranges.map(range => features.find(f => f.properties.contour === range / 60)?.geometry || null);
   }
 }
 
-/* ==================== OPENROUTESERVICE ==================== */
-class OpenRouteService {
-  static async getRoute(oLat, oLon, dLat, dLon, profile = 'driving-car') {
-    const cacheKey = `ors:${oLat}:${oLon}:${dLat}:${dLon}:${profile}`;
+const ROUTING_PROVIDERS = Object.fromEntries(
+  [OpenRouteServiceProvider, OsrmProvider, GraphHopperProvider, ValhallaProvider].map(p => [p.id, p])
+);
+
+class RoutingService {
+  static chain(profile) {
+    return config.routingProviders
+      .map(id => ROUTING_PROVIDERS[id])
+      .filter(provider => provider?.isConfigured() && (!profile || provider.profiles[profile]));
+  }
+
+  static status() {
+    return config.routingProviders.map(id => ({
+      provider: id,
+      configured: ROUTING_PROVIDERS[id]?.isConfigured() || false
+    }));
+  }
+
+  static async getRoute(oLat, oLon, dLat, dLon, profile = 'driving', avoid = []) {
+    if (!ROUTING_PROFILES.includes(profile)) {
+      throw new ApiError(400, 'INVALID_PROFILE', `Profil de routage inconnu: ${profile}`);
+    }
+
+    const avoidKey = avoid.map(a => `${a.lat.toFixed(5)},${a.lon.toFixed(5)},${a.radius}`).join('|');
+    const cacheKey = `route:${profile}:${oLat}:${oLon}:${dLat}:${dLon}${avoidKey ? `:avoid:${avoidKey}` : ''}`;
     const cached = await CacheService.get(cacheKey);
     if (cached) return cached;
 
-    try {
-      const res = await axios.post(
-        `https://api.openrouteservice.org/v2/directions/${profile}/geojson`,
-        {
-          coordinates: [[oLon, oLat], [dLon, dLat]],
-          elevation: false,
-          instructions: true
-        },
-        {
-          headers: {
-            'Authorization': config.openRouteServiceKey,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
+    for (const provider of this.chain(profile)) {
+      try {
+        const route = await trackUpstream(provider.id, () => provider.route(oLat, oLon, dLat, dLon, profile, avoid));
+        if (!route) {
+          logger.warn(`Routage ${provider.id}: aucune route trouvée`);
+          continue;
         }
-      );
 
-      const route = res.data?.features?.[0];
-      if (!route) {
-        logger.warn('ORS: Aucune route trouvée, utilisation du fallback');
-        return RouteService.generateFallbackRoute(oLat, oLon, dLat, dLon);
+        const data = {
+          ...route,
+          provider: provider.id,
+          fallback: false,
+          ...(profile === 'wheelchair' && { accessibility: 'accessible' })
+        };
+        await CacheService.set(cacheKey, data, config.routeCacheTTL);
+        return data;
+      } catch (err) {
+        logger.warn(`Routage ${provider.id} indisponible (${err.message})`);
       }
+    }
 
-      const data = {
-        coordinates: route.geometry.coordinates.map(c => [c[1], c[0]]),
-        distance: route.properties.segments[0].distance,
-        duration: route.properties.segments[0].duration,
-        steps: route.properties.segments[0].steps || [],
-        fallback: false
-      };
+    if (profile === 'wheelchair') {
+      logger.warn('Aucun fournisseur ne propose le profil fauteuil roulant, utilisation du profil piéton');
+      const walking = await this.getRoute(oLat, oLon, dLat, dLon, 'walking', avoid);
+      const duration = walking.distance / config.wheelchairSpeed;
+      return { ...walking, duration, accessibility: 'unknown' };
+    }
 
-      await CacheService.set(cacheKey, data, 3600);
-      return data;
-    } catch (err) {
-      logger.warn(`OpenRouteService indisponible (${err.message}), utilisation du fallback`);
-      return RouteService.generateFallbackRoute(oLat, oLon, dLat, dLon);
+    logger.warn('Aucun fournisseur de routage disponible, utilisation du fallback');
+    return { ...RouteService.generateFallbackRoute(oLat, oLon, dLat, dLon, profile), provider: 'fallback' };
+  }
+
+  static async getIsochrones(lat, lon, profile, ranges) {
+    for (const provider of this.chain(profile).filter(p => p.isochrone)) {
+      try {
+        const geometries = await trackUpstream(provider.id, () => provider.isochrone(lat, lon, profile, ranges));
+        if (geometries.every(Boolean)) return { provider: provider.id, geometries };
+        logger.warn(`Isochrones ${provider.id}: réponse incomplète`);
+      } catch (err) {
+        logger.warn(`Isochrones ${provider.id} indisponibles (${err.message})`);
+      }
+    }
+    return null;
+  }
+
+  static async getRouteAvoiding(oLat, oLon, dLat, dLon, profile, avoid) {
+    const direct = await this.getRoute(oLat, oLon, dLat, dLon, profile, avoid);
+    const blocking = avoid.filter(area => RouteService.crossesArea(direct.coordinates, area));
+    if (!blocking.length) return direct;
+
+    const area = blocking[0];
+    const heading = RouteService.bearing(oLat, oLon, dLat, dLon);
+    const candidates = [];
+
+    for (const factor of [2, 3]) {
+      for (const side of [90, -90]) {
+        const detour = RouteService.destinationPoint(area.lat, area.lon, heading + side, area.radius * factor);
+        const [first, second] = await Promise.all([
+          this.getRoute(oLat, oLon, detour.lat, detour.lon, profile, avoid),
+          this.getRoute(detour.lat, detour.lon, dLat, dLon, profile, avoid)
+        ]);
+        const combined = {
+          coordinates: [...first.coordinates, ...second.coordinates.slice(1)],
+          distance: first.distance + second.distance,
+          duration: first.duration + second.duration,
+          steps: [...(first.steps || []), ...(second.steps || [])],
+          provider: first.provider === second.provider ? first.provider : 'mixed',
+          fallback: first.fallback || second.fallback,
+          detour
+        };
+        if (!avoid.some(a => RouteService.crossesArea(combined.coordinates, a))) candidates.push(combined);
+      }
+      if (candidates.length) break;
     }
+
+    if (!candidates.length) return { ...direct, blocked: true };
+    return candidates.sort((a, b) => a.duration - b.duration)[0];
+  }
+
+  static async getTripRoute(points, profile = 'driving', avoid = []) {
+    const legs = await Promise.all(points.slice(1).map((to, i) => (avoid.length
+      ? this.getRouteAvoiding(points[i].lat, points[i].lon, to.lat, to.lon, profile, avoid)
+      : this.getRoute(points[i].lat, points[i].lon, to.lat, to.lon, profile))
+    ));
+    const providers = [...new Set(legs.map(l => l.provider))];
+
+    return {
+      coordinates: legs.flatMap((l, i) => (i ? l.coordinates.slice(1) : l.coordinates)),
+      distance: legs.reduce((sum, l) => sum + l.distance, 0),
+      duration: legs.reduce((sum, l) => sum + l.duration, 0),
+      steps: legs.flatMap(l => l.steps || []),
+      provider: providers.length === 1 ? providers[0] : 'mixed',
+      fallback: legs.some(l => l.fallback),
+      blocked: legs.some(l => l.blocked),
+      ...(profile === 'wheelchair' && {
+        accessibility: AccessibilityService.summarize(legs.map(l => ({
+          accessibility: { status: l.accessibility || 'unknown' }
+        })))
+      }),
+      legs: legs.map((l, i) => ({
+        from: points[i],
+        to: points[i + 1],
+        distance: Math.round(l.distance),
+        duration: Math.round(l.duration),
+        provider: l.provider,
+        fallback: l.fallback,
+        coordinates: l.coordinates
+      }))
+    };
   }
 }
 
 /* ==================== TOMTOM TRAFFIC SERVICE ==================== */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 class TomTomTrafficService {
+  static bucketStats = new Map();
+
+  static recordBucketLookup(bucket, hit) {
+    const stats = this.bucketStats.get(bucket) || { hits: 0, misses: 0 };
+    stats[hit ? 'hits' : 'misses']++;
+    this.bucketStats.delete(bucket);
+    this.bucketStats.set(bucket, stats);
+    if (this.bucketStats.size > 5000) {
+      this.bucketStats.delete(this.bucketStats.keys().next().value);
+    }
+  }
+
+  static cacheStats(limit = 20) {
+    const buckets = [...this.bucketStats].map(([geohash, { hits, misses }]) => ({
+      geohash,
+      center: RouteService.geohashCenter(geohash),
+      hits,
+      misses,
+      hitRatio: Math.round(hits / (hits + misses) * 100) / 100
+    }));
+    const hits = buckets.reduce((sum, b) => sum + b.hits, 0);
+    const misses = buckets.reduce((sum, b) => sum + b.misses, 0);
+
+    return {
+      precision: config.trafficGeohashPrecision,
+      totals: { buckets: buckets.length, hits, misses, hitRatio: hits + misses ? Math.round(hits / (hits + misses) * 100) / 100 : 0 },
+      buckets: buckets.sort((a, b) => (b.hits + b.misses) - (a.hits + a.misses)).slice(0, limit)
+    };
+  }
+
   static async getRealTimeTraffic(lat, lon, zoom = 10) {
-    const cacheKey = `traffic:${lat}:${lon}:${zoom}`;
+    if (!config.tomtomApiKey) return this.getFallbackTraffic(lat, lon);
+
+    const bucket = RouteService.geohash(lat, lon, config.trafficGeohashPrecision);
+    const cacheKey = `traffic:${bucket}:${zoom}`;
     const cached = await CacheService.get(cacheKey);
+    this.recordBucketLookup(bucket, Boolean(cached));
     if (cached) return cached;
 
     try {
-      const res = await axios.get(
+      const res = await trackUpstream('tomtom', () => axios.get(
         `https://api.tomtom.com/traffic/services/4/flowSegmentData/absolute/${zoom}/json`,
         {
           params: {
             key: config.tomtomApiKey,
             point: `${lat},${lon}`
           },
-          timeout: 5000
+          timeout: config.trafficRequestTimeout
         }
-      );
+      ));
 
       const flowData = res.data?.flowSegmentData;
       if (!flowData) {
-        return this.getFallbackTraffic();
+        return this.getFallbackTraffic(lat, lon);
       }
 
       const trafficData = {
@@ -188,224 +1155,4048 @@ class TomTomTrafficService {
         congestionLevel: Math.round((1 - (flowData.currentSpeed / flowData.freeFlowSpeed)) * 100)
       };
 
-      await CacheService.set(cacheKey, trafficData, 180);
+      await CacheService.set(cacheKey, trafficData, config.trafficCacheTTL);
+      await TrafficHistoryService.record(bucket, trafficData);
+      await AnomalyService.detectFromTraffic(lat, lon, trafficData, bucket);
       return trafficData;
     } catch (err) {
       logger.warn(`TomTom Traffic API error: ${err.message}`);
-      return this.getFallbackTraffic();
+      return this.getFallbackTraffic(lat, lon);
     }
   }
 
-  static getFallbackTraffic() {
-    const hour = new Date().getHours();
-    let congestionLevel = 20;
-
-    if ((hour >= 7 && hour <= 9) || (hour >= 17 && hour <= 19)) {
-      congestionLevel = 70;
-    } else if (hour >= 12 && hour <= 14) {
-      congestionLevel = 45;
+  static profileTraffic(lat, lon, at = new Date()) {
+    const bucket = RouteService.geohash(lat, lon, config.trafficGeohashPrecision);
+    const typical = TrafficHistoryService.estimate(bucket, at);
+    if (typical) {
+      return {
+        currentSpeed: typical.currentSpeed,
+        freeFlowSpeed: typical.freeFlowSpeed,
+        congestionLevel: typical.congestionLevel,
+        profile: typical.source
+      };
     }
 
+    const congestionLevel = TrafficHistoryService.hourlyCongestion(at);
     return {
-      currentSpeed: 30,
-      freeFlowSpeed: 50,
+      currentSpeed: Math.round(DEFAULT_FREE_FLOW_SPEED * (1 - congestionLevel / 100)),
+      freeFlowSpeed: DEFAULT_FREE_FLOW_SPEED,
       congestionLevel,
-      fallback: true
+      profile: 'heuristic'
     };
   }
 
-  static async getRouteTraffic(coordinates) {
-    const trafficData = [];
-    
-    for (let i = 0; i < coordinates.length; i += 5) {
-      const coord = coordinates[i];
-      const traffic = await this.getRealTimeTraffic(coord[0], coord[1]);
-      trafficData.push({
-        position: i,
-        ...traffic
-      });
-    }
+  static getFallbackTraffic(lat, lon, at = new Date()) {
+    metrics.fallbacks.inc({ service: 'traffic' });
+    return { ...this.profileTraffic(lat, lon, at), fallback: true };
+  }
 
-    const avgCongestion = trafficData.reduce((sum, t) => sum + t.congestionLevel, 0) / trafficData.length;
+  static isBeyondRealtime(at) {
+    return Boolean(at) && at.getTime() - Date.now() > config.trafficRealtimeHorizon * 1000;
+  }
+
+  static async getRouteTraffic(coordinates, { departAt = null, duration = 0 } = {}) {
+    const samples = RouteService.samplePolyline(coordinates, config.trafficSampleInterval, config.trafficMaxSamples);
+    const totalDistance = samples[samples.length - 1].offset || 1;
+    const estimated = this.isBeyondRealtime(departAt);
+    const roadSegments = [];
+    const inFlight = new Map();
+    let requests = 0;
+
+    const trafficData = await mapWithConcurrency(samples, config.trafficConcurrency, async sample => {
+      if (estimated) {
+        const at = new Date(departAt.getTime() + duration * 1000 * sample.offset / totalDistance);
+        return { ...sample, ...this.profileTraffic(sample.lat, sample.lon, at), estimated: true, at: at.toISOString() };
+      }
+
+      const known = roadSegments.find(seg =>
+        RouteService.distanceToPolyline(sample.lat, sample.lon, seg.coordinates) <= config.trafficSegmentTolerance
+      );
+      if (known) {
+        return { ...sample, ...known.traffic, sharedWith: known.offset };
+      }
+
+      const bucket = RouteService.geohash(sample.lat, sample.lon, config.trafficGeohashPrecision);
+      if (!inFlight.has(bucket)) {
+        requests++;
+        inFlight.set(bucket, { offset: sample.offset, request: this.getRealTimeTraffic(sample.lat, sample.lon) });
+      }
+      const { offset, request } = inFlight.get(bucket);
+      const traffic = await request;
+      if (offset !== sample.offset) {
+        return { ...sample, ...traffic, sharedWith: offset };
+      }
+      if (traffic.coordinates?.length > 1) {
+        roadSegments.push({
+          offset: sample.offset,
+          coordinates: traffic.coordinates.map(c => [c.latitude, c.longitude]),
+          traffic
+        });
+      }
+      return { ...sample, ...traffic };
+    });
+
+    const weights = this.segmentWeights(trafficData);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const avgCongestion = trafficData.reduce((sum, t, i) => sum + t.congestionLevel * weights[i], 0) / totalWeight;
+
+    return {
+      segments: trafficData,
+      distance: Math.round(samples[samples.length - 1].offset),
+      requests,
+      averageCongestion: Math.round(avgCongestion),
+      maxCongestion: Math.max(...trafficData.map(t => t.congestionLevel)),
+      estimated
+    };
+  }
+
+  static segmentWeights(segments) {
+    return segments.map((s, i) => {
+      const prev = segments[i - 1]?.offset ?? s.offset;
+      const next = segments[i + 1]?.offset ?? s.offset;
+      return (next - prev) / 2 || 1;
+    });
+  }
+
+  static untrafficked(leg) {
+    return { segments: [], distance: Math.round(leg.distance), requests: 0, averageCongestion: 0, maxCongestion: 0, estimated: false };
+  }
+
+  static async getTripTraffic(legs, departAt = new Date(), profile = 'driving') {
+    const perLeg = [];
+    let clock = departAt.getTime();
+    for (const leg of legs) {
+      const traffic = profile === 'driving'
+        ? await this.getRouteTraffic(leg.coordinates, { departAt: new Date(clock), duration: leg.duration })
+        : this.untrafficked(leg);
+      const duration = Math.round(leg.duration * (1 + traffic.averageCongestion / 100));
+      perLeg.push({ ...traffic, departAt: new Date(clock), duration });
+      clock += duration * 1000;
+    }
+
+    let offset = 0;
+    const segments = perLeg.flatMap((traffic, leg) => {
+      const shifted = traffic.segments.map(s => ({
+        ...s,
+        leg,
+        offset: s.offset + offset,
+        ...(s.sharedWith !== undefined && { sharedWith: s.sharedWith + offset })
+      }));
+      offset += traffic.distance;
+      return shifted;
+    });
+    const distance = perLeg.reduce((sum, t) => sum + t.distance, 0);
+    const estimated = perLeg.some(t => t.estimated);
+
+    return {
+      segments,
+      distance,
+      requests: perLeg.reduce((sum, t) => sum + t.requests, 0),
+      averageCongestion: Math.round(
+        perLeg.reduce((sum, t) => sum + t.averageCongestion * (t.distance || 1), 0) /
+        perLeg.reduce((sum, t) => sum + (t.distance || 1), 0)
+      ),
+      maxCongestion: Math.max(...perLeg.map(t => t.maxCongestion)),
+      estimated,
+      forecast: estimated || !segments.length ? null : TrafficForecastService.forRoute(segments, this.segmentWeights(segments)),
+      departAt,
+      arriveAt: new Date(clock),
+      legs: perLeg.map(t => ({
+        distance: t.distance,
+        averageCongestion: t.averageCongestion,
+        maxCongestion: t.maxCongestion,
+        departAt: t.departAt,
+        duration: t.duration
+      }))
+    };
+  }
+
+  static async getTripTrafficArrivingBy(legs, arriveBy, profile = 'driving') {
+    const freeFlowDuration = legs.reduce((sum, l) => sum + l.duration, 0);
+    let departAt = new Date(arriveBy.getTime() - freeFlowDuration * 1000);
+    let traffic = await this.getTripTraffic(legs, departAt, profile);
+
+    for (let i = 0; i < 5 && Math.abs(traffic.arriveAt - arriveBy) > 60000; i++) {
+      departAt = new Date(departAt.getTime() - (traffic.arriveAt - arriveBy));
+      traffic = await this.getTripTraffic(legs, departAt, profile);
+    }
+    for (let i = 0; i < 5 && traffic.arriveAt > arriveBy; i++) {
+      departAt = new Date(departAt.getTime() - (traffic.arriveAt - arriveBy) - 60000);
+      traffic = await this.getTripTraffic(legs, departAt, profile);
+    }
+    return { ...traffic, arrivesInTime: traffic.arriveAt <= arriveBy };
+  }
+}
+
+/* ==================== TRAFFIC HISTORY ==================== */
+const DEFAULT_FREE_FLOW_SPEED = 50;
+const CITY_PROFILE = '*';
+const RECENT_SAMPLES_WINDOW = 2 * 3600 * 1000;
+const HISTORY_MAX_SPAN_DAYS = 366;
+
+class TrafficHistoryService {
+  static profiles = new Map();
+  static recent = new Map();
+  static sampleCount = 0;
+  static currentDay = null;
+
+  static dayFile(day) {
+    return path.join(config.trafficHistoryPath, `${day}.ndjson`);
+  }
+
+  static congestionOf(sample) {
+    if (!sample.freeFlowSpeed) return 0;
+    return Math.max(0, Math.round((1 - sample.currentSpeed / sample.freeFlowSpeed) * 100));
+  }
+
+  static slotOf(date) {
+    const { hour, weekday } = TimeService.getZonedParts(date, config.timezone);
+    return weekday * 24 + hour;
+  }
+
+  static accumulate(sample, weight = 1) {
+    const slot = this.slotOf(new Date(sample.timestamp));
+    const congestion = this.congestionOf(sample);
+
+    for (const key of [sample.bucket, CITY_PROFILE]) {
+      if (!this.profiles.has(key)) {
+        this.profiles.set(key, Array.from({ length: 7 * 24 }, () => ({
+          samples: 0, congestion: 0, congestionSq: 0, currentSpeed: 0, freeFlowSpeed: 0
+        })));
+      }
+      const cell = this.profiles.get(key)[slot];
+      cell.samples += weight;
+      cell.congestion += weight * congestion;
+      cell.congestionSq += weight * congestion * congestion;
+      cell.currentSpeed += weight * sample.currentSpeed;
+      cell.freeFlowSpeed += weight * sample.freeFlowSpeed;
+    }
+    this.sampleCount += weight;
+
+    if (weight > 0 && Date.now() - new Date(sample.timestamp).getTime() <= RECENT_SAMPLES_WINDOW) {
+      const recent = (this.recent.get(sample.bucket) || [])
+        .filter(s => Date.now() - new Date(s.timestamp).getTime() <= RECENT_SAMPLES_WINDOW);
+      recent.push({ timestamp: sample.timestamp, congestionLevel: congestion });
+      this.recent.set(sample.bucket, recent);
+    }
+  }
+
+  static hourlyCongestion(at) {
+    const { hour, weekday } = TimeService.getZonedParts(at, config.timezone);
+    const weekend = weekday === 0 || weekday === 6;
+    if (!weekend && ((hour >= 7 && hour <= 9) || (hour >= 17 && hour <= 19))) return 70;
+    if (hour >= 12 && hour <= 14) return 45;
+    return 20;
+  }
+
+  static latest(bucket, maxAge = 15 * 60 * 1000) {
+    const last = this.recent.get(bucket)?.at(-1);
+    return last && Date.now() - new Date(last.timestamp).getTime() <= maxAge ? last : null;
+  }
+
+  static async record(bucket, traffic) {
+    const timestamp = new Date().toISOString();
+    const sample = {
+      bucket,
+      timestamp,
+      currentSpeed: traffic.currentSpeed,
+      freeFlowSpeed: traffic.freeFlowSpeed,
+      confidence: traffic.confidence
+    };
+    this.accumulate(sample);
+    TrafficForecastService.evaluate(bucket, new Date(timestamp), this.congestionOf(sample));
+
+    const day = timestamp.slice(0, 10);
+    if (this.currentDay !== day) {
+      const rollover = this.currentDay !== null;
+      this.currentDay = day;
+      if (rollover) {
+        await this.prune().catch(err => logger.warn(`Purge de l'historique trafic impossible: ${err.message}`));
+      }
+    }
+
+    try {
+      await fs.promises.appendFile(this.dayFile(timestamp.slice(0, 10)), `${JSON.stringify(sample)}\n`);
+    } catch (err) {
+      logger.warn(`Mesure de trafic non historisée: ${err.message}`);
+    }
+  }
+
+  static async readDay(day) {
+    try {
+      const content = await fs.promises.readFile(this.dayFile(day), 'utf8');
+      return content.split('\n').filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  static cutoffDay() {
+    return new Date(Date.now() - config.trafficHistoryRetentionDays * 86400000).toISOString().slice(0, 10);
+  }
+
+  static async days() {
+    return (await fs.promises.readdir(config.trafficHistoryPath))
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(f))
+      .map(f => f.slice(0, 10))
+      .sort();
+  }
+
+  static async prune() {
+    const expired = (await this.days()).filter(day => day < this.cutoffDay());
+    let removed = 0;
+    for (const day of expired) {
+      for (const sample of await this.readDay(day)) {
+        this.accumulate(sample, -1);
+        removed++;
+      }
+      await fs.promises.unlink(this.dayFile(day));
+    }
+    for (const [key, cells] of this.profiles) {
+      if (cells.every(cell => cell.samples <= 0)) this.profiles.delete(key);
+    }
+    if (expired.length) logger.info(`🧹 Historique trafic purgé (${expired.length} jours, ${removed} mesures)`);
+  }
+
+  static async load() {
+    await fs.promises.mkdir(config.trafficHistoryPath, { recursive: true });
+    const cutoff = this.cutoffDay();
+    this.currentDay = new Date().toISOString().slice(0, 10);
+
+    for (const day of await this.days()) {
+      if (day < cutoff) {
+        await fs.promises.unlink(this.dayFile(day));
+        continue;
+      }
+      for (const sample of await this.readDay(day)) this.accumulate(sample);
+    }
+
+    logger.info(`📈 Historique trafic chargé (${this.sampleCount} mesures, ${Math.max(0, this.profiles.size - 1)} segments)`);
+  }
+
+  static async history({ bucket, from, to, limit }) {
+    const oldest = new Date(Date.parse(this.cutoffDay()));
+    const start = from < oldest ? oldest : from;
+    const end = Math.min(to.getTime(), Date.now());
+    const samples = [];
+    for (let day = start.toISOString().slice(0, 10); day <= new Date(end).toISOString().slice(0, 10);) {
+      for (const sample of await this.readDay(day)) {
+        const time = new Date(sample.timestamp);
+        if (sample.bucket === bucket && time >= from && time <= to) samples.push(sample);
+      }
+      day = new Date(Date.parse(day) + 86400000).toISOString().slice(0, 10);
+    }
+    return samples.slice(-limit);
+  }
+
+  static formatCell(cell, slot) {
+    const mean = cell.congestion / cell.samples;
+    return {
+      weekday: Math.floor(slot / 24),
+      hour: slot % 24,
+      samples: cell.samples,
+      congestionLevel: Math.round(mean),
+      stdDev: Math.round(Math.sqrt(Math.max(0, cell.congestionSq / cell.samples - mean * mean))),
+      currentSpeed: Math.round(cell.currentSpeed / cell.samples),
+      freeFlowSpeed: Math.round(cell.freeFlowSpeed / cell.samples)
+    };
+  }
+
+  static profile(bucket) {
+    return (this.profiles.get(bucket) || [])
+      .map((cell, slot) => (cell.samples ? this.formatCell(cell, slot) : null))
+      .filter(Boolean);
+  }
+
+  static estimate(bucket, at = new Date()) {
+    const slot = this.slotOf(at);
+    for (const key of [bucket, CITY_PROFILE]) {
+      const cell = this.profiles.get(key)?.[slot];
+      if (cell && cell.samples >= config.trafficProfileMinSamples) {
+        return { ...this.formatCell(cell, slot), source: key === CITY_PROFILE ? 'city' : 'segment' };
+      }
+    }
+    return null;
+  }
+}
+
+/* ==================== TRAFFIC FORECAST ==================== */
+const FORECAST_HORIZONS = [15, 30, 60];
+const FORECAST_DECAY_MINUTES = 30;
+const FORECAST_Z_SCORE = 1.645;
+const FORECAST_DEFAULT_STDDEV = 15;
+const FORECAST_MIN_EVALUATIONS = 20;
+const FORECAST_MATCH_WINDOW = 5 * 60 * 1000;
+const FORECAST_MAX_PENDING = 5000;
+
+class TrafficForecastService {
+  static pending = new Map();
+  static pendingCount = 0;
+  static accuracy = new Map(FORECAST_HORIZONS.map(h => [h, { evaluations: 0, absError: 0, sqError: 0, covered: 0 }]));
+
+  static baseline(bucket, at) {
+    const typical = TrafficHistoryService.estimate(bucket, at);
+    return typical
+      ? { congestionLevel: typical.congestionLevel, stdDev: typical.stdDev }
+      : { congestionLevel: TrafficHistoryService.hourlyCongestion(at), stdDev: FORECAST_DEFAULT_STDDEV };
+  }
+
+  static forecast(bucket, observed = null, now = new Date()) {
+    const current = observed ?? TrafficHistoryService.latest(bucket)?.congestionLevel ?? null;
+    const deviation = current === null ? 0 : current - this.baseline(bucket, now).congestionLevel;
+    const clamp = value => Math.min(100, Math.max(0, Math.round(value)));
+
+    return FORECAST_HORIZONS.map(horizon => {
+      const at = new Date(now.getTime() + horizon * 60000);
+      const target = this.baseline(bucket, at);
+      const decay = current === null ? 0 : Math.exp(-horizon / FORECAST_DECAY_MINUTES);
+      const stats = this.accuracy.get(horizon);
+      const sigma = stats.evaluations >= FORECAST_MIN_EVALUATIONS
+        ? Math.sqrt(stats.sqError / stats.evaluations)
+        : Math.max(5, target.stdDev) * (1 - decay / 2);
+
+      const congestionLevel = clamp(target.congestionLevel + deviation * decay);
+      const forecast = {
+        horizon,
+        at: at.toISOString(),
+        congestionLevel,
+        lower: clamp(congestionLevel - FORECAST_Z_SCORE * sigma),
+        upper: clamp(congestionLevel + FORECAST_Z_SCORE * sigma)
+      };
+      this.track(bucket, forecast);
+      return forecast;
+    });
+  }
+
+  static track(bucket, forecast) {
+    if (this.pendingCount >= FORECAST_MAX_PENDING) this.prune();
+    const entries = this.pending.get(bucket) || [];
+    const at = new Date(forecast.at).getTime();
+    if (entries.some(e => e.horizon === forecast.horizon && Math.abs(e.at - at) < FORECAST_MATCH_WINDOW)) return;
+    if (this.pendingCount >= FORECAST_MAX_PENDING) return;
+
+    entries.push({ ...forecast, at });
+    this.pending.set(bucket, entries);
+    this.pendingCount++;
+  }
+
+  static prune(now = Date.now()) {
+    for (const [bucket, entries] of this.pending) {
+      const remaining = entries.filter(entry => entry.at > now - FORECAST_MATCH_WINDOW);
+      this.pendingCount -= entries.length - remaining.length;
+      if (remaining.length) this.pending.set(bucket, remaining);
+      else this.pending.delete(bucket);
+    }
+  }
+
+  static evaluate(bucket, observedAt, congestionLevel) {
+    const entries = this.pending.get(bucket);
+    if (!entries) return;
+
+    const remaining = entries.filter(entry => {
+      if (Math.abs(entry.at - observedAt.getTime()) <= FORECAST_MATCH_WINDOW) {
+        const stats = this.accuracy.get(entry.horizon);
+        const error = congestionLevel - entry.congestionLevel;
+        stats.evaluations++;
+        stats.absError += Math.abs(error);
+        stats.sqError += error * error;
+        if (congestionLevel >= entry.lower && congestionLevel <= entry.upper) stats.covered++;
+        return false;
+      }
+      return entry.at > observedAt.getTime() - FORECAST_MATCH_WINDOW;
+    });
+
+    this.pendingCount -= entries.length - remaining.length;
+    if (remaining.length) this.pending.set(bucket, remaining);
+    else this.pending.delete(bucket);
+  }
+
+  static forRoute(segments, weights) {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    for (const segment of segments) {
+      const bucket = RouteService.geohash(segment.lat, segment.lon, config.trafficGeohashPrecision);
+      segment.forecast = this.forecast(bucket, segment.fallback ? null : segment.congestionLevel);
+    }
+
+    return FORECAST_HORIZONS.map((horizon, h) => {
+      const average = field => Math.round(
+        segments.reduce((sum, s, i) => sum + s.forecast[h][field] * weights[i], 0) / totalWeight
+      );
+      return {
+        horizon,
+        at: segments[0].forecast[h].at,
+        averageCongestion: average('congestionLevel'),
+        lower: average('lower'),
+        upper: average('upper')
+      };
+    });
+  }
+
+  static accuracyReport() {
+    return {
+      pending: this.pendingCount,
+      horizons: [...this.accuracy].map(([horizon, stats]) => ({
+        horizon,
+        evaluations: stats.evaluations,
+        mae: stats.evaluations ? Math.round(stats.absError / stats.evaluations * 10) / 10 : null,
+        rmse: stats.evaluations ? Math.round(Math.sqrt(stats.sqError / stats.evaluations) * 10) / 10 : null,
+        coverage: stats.evaluations ? Math.round(stats.covered / stats.evaluations * 100) / 100 : null
+      }))
+    };
+  }
+}
+
+/* ==================== TRAFFIC INCIDENTS ==================== */
+const INCIDENT_CATEGORIES = {
+  1: 'ACCIDENT',
+  2: 'WEATHER',
+  3: 'HAZARD',
+  4: 'WEATHER',
+  5: 'WEATHER',
+  6: 'JAM',
+  7: 'LANE_CLOSED',
+  8: 'CLOSURE',
+  9: 'ROADWORKS',
+  10: 'WEATHER',
+  11: 'WEATHER',
+  14: 'HAZARD'
+};
+const INCIDENT_MAGNITUDES = ['LOW', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const INCIDENT_LABELS = {
+  ACCIDENT: 'Accident',
+  WEATHER: 'Conditions météo',
+  HAZARD: 'Danger',
+  JAM: 'Bouchon',
+  LANE_CLOSED: 'Voie fermée',
+  CLOSURE: 'Route fermée',
+  ROADWORKS: 'Travaux',
+  OTHER: 'Incident'
+};
+const TOMTOM_INCIDENT_FIELDS = '{incidents{type,geometry{type,coordinates},properties{id,iconCategory,magnitudeOfDelay,events{description,code},startTime,endTime,from,to,length,delay,roadNumbers}}}';
+
+class TomTomIncidentProvider {
+  static id = 'tomtom';
+
+  static isConfigured() {
+    return Boolean(config.tomtomApiKey);
+  }
+
+  static async incidents(bbox) {
+    const res = await axios.get('https://api.tomtom.com/traffic/services/5/incidentDetails', {
+      params: {
+        key: config.tomtomApiKey,
+        bbox: bbox.join(','),
+        fields: TOMTOM_INCIDENT_FIELDS,
+        language: 'fr-FR',
+        timeValidityFilter: 'present'
+      },
+      timeout: config.trafficRequestTimeout
+    });
+    return res.data?.incidents || [];
+  }
+}
+
+class LocalIncidentProvider {
+  static id = 'local';
+
+  static isConfigured() {
+    return fs.existsSync(config.incidentsPath);
+  }
+
+  static async incidents(bbox) {
+    const data = JSON.parse(await fs.promises.readFile(config.incidentsPath, 'utf8'));
+    const [minLon, minLat, maxLon, maxLat] = bbox;
+    return (data.incidents || data.features || []).filter(incident =>
+      IncidentService.points(incident.geometry).some(([lon, lat]) =>
+        lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat
+      )
+    );
+  }
+}
+
+const INCIDENT_PROVIDERS = Object.fromEntries(
+  [TomTomIncidentProvider, LocalIncidentProvider].map(p => [p.id, p])
+);
+
+class IncidentService {
+  static chain() {
+    return config.incidentProviders
+      .map(id => INCIDENT_PROVIDERS[id])
+      .filter(provider => provider?.isConfigured());
+  }
+
+  static status() {
+    return config.incidentProviders.map(id => ({
+      provider: id,
+      configured: INCIDENT_PROVIDERS[id]?.isConfigured() || false
+    }));
+  }
+
+  static points(geometry) {
+    if (!geometry) return [];
+    return geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+  }
+
+  static normalize(feature, source) {
+    const props = feature.properties || {};
+    const points = this.points(feature.geometry);
+    const middle = points[Math.floor(points.length / 2)] || [0, 0];
+    const type = INCIDENT_CATEGORIES[props.iconCategory] || 'OTHER';
+
+    return {
+      id: `${source}:${props.id}`,
+      type,
+      severity: type === 'CLOSURE' ? 'CRITICAL' : INCIDENT_MAGNITUDES[props.magnitudeOfDelay] || 'LOW',
+      description: (props.events || []).map(e => e.description).filter(Boolean).join(', ') || null,
+      from: props.from || null,
+      to: props.to || null,
+      roadNumbers: props.roadNumbers || [],
+      delay: props.delay || 0,
+      length: Math.round(props.length || 0),
+      startTime: props.startTime || null,
+      endTime: props.endTime || null,
+      location: { lat: middle[1], lon: middle[0] },
+      coordinates: points.map(([lon, lat]) => [lat, lon]),
+      source
+    };
+  }
+
+  static async getIncidents(bbox) {
+    const cacheKey = `incidents:${bbox.map(v => v.toFixed(3)).join(',')}`;
+    const cached = await CacheService.get(cacheKey);
+    if (cached) return cached;
+
+    for (const provider of this.chain()) {
+      try {
+        const features = await trackUpstream(provider.id, () => provider.incidents(bbox));
+        const incidents = features.map(f => this.normalize(f, provider.id));
+        await CacheService.set(cacheKey, incidents, config.incidentCacheTTL);
+        return incidents;
+      } catch (err) {
+        logger.warn(`Incidents ${provider.id} indisponibles (${err.message})`);
+      }
+    }
+    return [];
+  }
+
+  static boundingBox(coordinates, margin = 0.002) {
+    const lats = coordinates.map(c => c[0]);
+    const lons = coordinates.map(c => c[1]);
+    return [
+      Math.min(...lons) - margin,
+      Math.min(...lats) - margin,
+      Math.max(...lons) + margin,
+      Math.max(...lats) + margin
+    ];
+  }
+
+  static forRoute(incidents, coordinates) {
+    if (coordinates.length < 2) return [];
+    return incidents.filter(incident => incident.coordinates.some(([lat, lon]) =>
+      RouteService.distanceToPolyline(lat, lon, coordinates) <= config.incidentRouteTolerance
+    ));
+  }
+}
+
+/* ==================== ROAD CLOSURES ==================== */
+const CLOSURE_MAX_RADIUS = 1000;
+
+class ClosureService {
+  static fromTraffic(traffic) {
+    return traffic.segments
+      .filter(s => s.roadClosure)
+      .map(s => ({
+        source: 'traffic',
+        location: { lat: s.lat, lon: s.lon },
+        radius: config.closureAvoidRadius,
+        description: 'Route fermée à la circulation'
+      }));
+  }
+
+  static fromIncidents(incidents, coordinates) {
+    return IncidentService.forRoute(incidents.filter(i => i.type === 'CLOSURE'), coordinates).map(incident => {
+      const label = INCIDENT_LABELS[incident.type];
+      const detail = incident.description && incident.description.toLowerCase() !== label.toLowerCase()
+        ? `: ${incident.description}`
+        : '';
+      return {
+        source: 'incident',
+        incidentId: incident.id,
+        location: incident.location,
+        radius: Math.round(Math.min(CLOSURE_MAX_RADIUS, Math.max(config.closureAvoidRadius, incident.length / 2 + config.incidentRouteTolerance))),
+        description: `${label}${detail}${incident.from ? ` (${incident.from})` : ''}`
+      };
+    });
+  }
+
+  static detect({ route, traffic, incidents, points }) {
+    const closures = [];
+    for (const closure of [...this.fromIncidents(incidents, route.coordinates), ...this.fromTraffic(traffic)]) {
+      const duplicate = closures.some(c =>
+        RouteService.haversineDistance(c.location.lat, c.location.lon, closure.location.lat, closure.location.lon) < c.radius
+      );
+      if (duplicate) continue;
+
+      const avoidable = !points.some(p =>
+        RouteService.haversineDistance(p.lat, p.lon, closure.location.lat, closure.location.lon) < closure.radius
+      );
+      closures.push({ ...closure, avoidable });
+    }
+    return closures;
+  }
+
+  static explain(closures) {
+    const avoided = closures.filter(c => c.avoidable);
+    if (!avoided.length) return null;
+    return `Itinéraire recalculé pour éviter : ${avoided.map(c => c.description).join(' ; ')}`;
+  }
+}
+
+/* ==================== ROUTE CALCULATION ==================== */
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+class RouteService {
+  static haversineDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = 
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+  }
+
+  static bearing(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const y = Math.sin((lon2 - lon1) * toRad) * Math.cos(lat2 * toRad);
+    const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+      Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+  }
+
+  static avoidArea(lat, lon, radius, vertices = 16) {
+    const polygon = Array.from({ length: vertices }, (_, i) => {
+      const p = this.destinationPoint(lat, lon, i * 360 / vertices, radius);
+      return [p.lat, p.lon];
+    });
+    return { lat, lon, radius, polygon: [...polygon, polygon[0]] };
+  }
+
+  static crossesArea(coordinates, area) {
+    return this.distanceToPolyline(area.lat, area.lon, coordinates) < area.radius;
+  }
+
+  static destinationPoint(lat, lon, bearing, distance) {
+    const toRad = Math.PI / 180;
+    const delta = distance / 6371000;
+    const theta = bearing * toRad;
+    const phi1 = lat * toRad;
+    const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+    const lambda2 = lon * toRad + Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+      Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    );
+    return { lat: phi2 / toRad, lon: ((lambda2 / toRad + 540) % 360) - 180 };
+  }
+
+  static geohash(lat, lon, precision) {
+    let hash = '';
+    let bits = 0, value = 0, even = true;
+    const range = { lat: [-90, 90], lon: [-180, 180] };
+
+    while (hash.length < precision) {
+      const [axis, coord] = even ? ['lon', lon] : ['lat', lat];
+      const mid = (range[axis][0] + range[axis][1]) / 2;
+      value <<= 1;
+      if (coord >= mid) {
+        value |= 1;
+        range[axis][0] = mid;
+      } else {
+        range[axis][1] = mid;
+      }
+      even = !even;
+
+      if (++bits === 5) {
+        hash += GEOHASH_BASE32[value];
+        bits = 0;
+        value = 0;
+      }
+    }
+    return hash;
+  }
+
+  static geohashCenter(hash) {
+    const range = { lat: [-90, 90], lon: [-180, 180] };
+    let even = true;
+    for (const char of hash) {
+      const value = GEOHASH_BASE32.indexOf(char);
+      for (let bit = 4; bit >= 0; bit--) {
+        const axis = even ? 'lon' : 'lat';
+        range[axis][(value >> bit) & 1 ? 0 : 1] = (range[axis][0] + range[axis][1]) / 2;
+        even = !even;
+      }
+    }
+    return { lat: (range.lat[0] + range.lat[1]) / 2, lon: (range.lon[0] + range.lon[1]) / 2 };
+  }
+
+  static optimizeWaypointOrder(start, waypoints, end) {
+    const n = waypoints.length;
+    if (n < 2) return waypoints.map((_, i) => i);
+
+    const dist = (a, b) => this.haversineDistance(a.lat, a.lon, b.lat, b.lon);
+    const size = 1 << n;
+    const cost = Array.from({ length: size }, () => new Array(n).fill(Infinity));
+    const parent = Array.from({ length: size }, () => new Array(n).fill(-1));
+
+    for (let i = 0; i < n; i++) cost[1 << i][i] = dist(start, waypoints[i]);
+
+    for (let mask = 1; mask < size; mask++) {
+      for (let last = 0; last < n; last++) {
+        if (!(mask & (1 << last)) || cost[mask][last] === Infinity) continue;
+        for (let next = 0; next < n; next++) {
+          if (mask & (1 << next)) continue;
+          const nextMask = mask | (1 << next);
+          const candidate = cost[mask][last] + dist(waypoints[last], waypoints[next]);
+          if (candidate < cost[nextMask][next]) {
+            cost[nextMask][next] = candidate;
+            parent[nextMask][next] = last;
+          }
+        }
+      }
+    }
+
+    const full = size - 1;
+    let last = 0;
+    for (let i = 1; i < n; i++) {
+      if (cost[full][i] + dist(waypoints[i], end) < cost[full][last] + dist(waypoints[last], end)) last = i;
+    }
+
+    const order = [];
+    for (let mask = full; last !== -1;) {
+      order.unshift(last);
+      const prev = parent[mask][last];
+      mask &= ~(1 << last);
+      last = prev;
+    }
+    return order;
+  }
+
+  static samplePolyline(coordinates, interval, maxSamples) {
+    const cumulative = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+      const [lat1, lon1] = coordinates[i - 1];
+      const [lat2, lon2] = coordinates[i];
+      cumulative.push(cumulative[i - 1] + this.haversineDistance(lat1, lon1, lat2, lon2));
+    }
+
+    const length = cumulative[cumulative.length - 1];
+    const step = Math.max(interval, length / Math.max(1, maxSamples - 1));
+    const offsets = [];
+    for (let d = 0; d < length; d += step) offsets.push(d);
+    if (offsets.length < maxSamples || !offsets.length) offsets.push(length);
+
+    let i = 1;
+    return offsets.map(offset => {
+      while (i < coordinates.length - 1 && cumulative[i] < offset) i++;
+      if (coordinates.length === 1) {
+        return { lat: coordinates[0][0], lon: coordinates[0][1], offset: 0 };
+      }
+      const span = cumulative[i] - cumulative[i - 1];
+      const t = span ? (offset - cumulative[i - 1]) / span : 0;
+      const [lat1, lon1] = coordinates[i - 1];
+      const [lat2, lon2] = coordinates[i];
+      return {
+        lat: Math.round((lat1 + t * (lat2 - lat1)) * 1e6) / 1e6,
+        lon: Math.round((lon1 + t * (lon2 - lon1)) * 1e6) / 1e6,
+        offset: Math.round(offset)
+      };
+    });
+  }
+
+  static distanceToSegment(lat, lon, [lat1, lon1], [lat2, lon2]) {
+    const k = Math.cos(lat * Math.PI / 180);
+    const dx = (lon2 - lon1) * k;
+    const dy = lat2 - lat1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, (((lon - lon1) * k) * dx + (lat - lat1) * dy) / lengthSq));
+    return this.haversineDistance(lat, lon, lat1 + t * dy, lon1 + t * (lon2 - lon1));
+  }
+
+  static polylineLength(coordinates) {
+    let length = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+      length += this.haversineDistance(coordinates[i - 1][0], coordinates[i - 1][1], coordinates[i][0], coordinates[i][1]);
+    }
+    return length;
+  }
+
+  static distanceToPolyline(lat, lon, coordinates) {
+    if (coordinates.length === 1) {
+      return this.haversineDistance(lat, lon, coordinates[0][0], coordinates[0][1]);
+    }
+    let min = Infinity;
+    for (let i = 1; i < coordinates.length; i++) {
+      min = Math.min(min, this.distanceToSegment(lat, lon, coordinates[i - 1], coordinates[i]));
+    }
+    return min;
+  }
+
+  static generateIntermediatePoints(lat1, lon1, lat2, lon2, numPoints = 10) {
+    const points = [[lat1, lon1]];
+    
+    for (let i = 1; i < numPoints; i++) {
+      const ratio = i / numPoints;
+      const lat = lat1 + (lat2 - lat1) * ratio;
+      const lon = lon1 + (lon2 - lon1) * ratio;
+      
+      points.push([lat, lon]);
+    }
+    
+    points.push([lat2, lon2]);
+    return points;
+  }
+
+  static generateFallbackRoute(oLat, oLon, dLat, dLon, profile = 'driving') {
+    const distance = this.haversineDistance(oLat, oLon, dLat, dLon);
+    const avgSpeed = FALLBACK_SPEEDS[profile] || config.walkingSpeed;
+    const duration = distance / avgSpeed;
+    const coordinates = this.generateIntermediatePoints(oLat, oLon, dLat, dLon, 15);
+    metrics.fallbacks.inc({ service: 'routing' });
+
+    return {
+      coordinates,
+      distance,
+      duration,
+      fallback: true
+    };
+  }
+}
+
+/* ==================== TIME SERVICE ==================== */
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class TimeService {
+  static getZonedParts(date, timeZone = config.timezone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+      }).formatToParts(date).map(p => [p.type, p.value])
+    );
+
+    return {
+      year: +parts.year,
+      month: +parts.month,
+      day: +parts.day,
+      hour: +parts.hour,
+      minute: +parts.minute,
+      second: +parts.second,
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  static getOffset(date, timeZone) {
+    const p = this.getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  static toServiceDate(date, timeZone) {
+    const p = this.getZonedParts(date, timeZone);
+    return `${p.year}${String(p.month).padStart(2, '0')}${String(p.day).padStart(2, '0')}`;
+  }
+
+  static shiftServiceDate(serviceDate, days) {
+    const d = new Date(Date.UTC(+serviceDate.slice(0, 4), +serviceDate.slice(4, 6) - 1, +serviceDate.slice(6, 8) + days));
+    return d.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  static secondsSinceMidnight(date, timeZone) {
+    const p = this.getZonedParts(date, timeZone);
+    return p.hour * 3600 + p.minute * 60 + p.second;
+  }
+
+  static fromServiceTime(serviceDate, seconds, timeZone) {
+    const naive = Date.UTC(+serviceDate.slice(0, 4), +serviceDate.slice(4, 6) - 1, +serviceDate.slice(6, 8)) + seconds * 1000;
+    return this.fromWallClock(naive, timeZone);
+  }
+
+  static fromWallClock(naive, timeZone) {
+    const offset = this.getOffset(new Date(naive - this.getOffset(new Date(naive), timeZone)), timeZone);
+    return new Date(naive - offset);
+  }
+
+  static parseLocal(value, timeZone = config.timezone) {
+    if (/(Z|[+-]\d{2}:\d{2})$/.test(value)) return new Date(value);
+    const naive = Date.parse(`${value}Z`);
+    return Number.isNaN(naive) ? new Date(NaN) : this.fromWallClock(naive, timeZone);
+  }
+}
+
+/* ==================== GTFS STORE ==================== */
+const GTFS_FILES = [
+  'agency', 'routes', 'stops', 'trips', 'stop_times', 'shapes', 'calendar', 'calendar_dates',
+  'fare_media', 'fare_products', 'fare_leg_rules', 'fare_transfer_rules', 'areas', 'stop_areas',
+  'networks', 'route_networks', 'rider_categories', 'timeframes'
+];
+const FARE_DURATION_UNITS = [1, 60, 3600, 86400, 604800, 2592000, 31536000];
+
+const GTFS_ROUTE_TYPES = {
+  0: 'tramway',
+  1: 'metro',
+  2: 'train',
+  3: 'bus',
+  4: 'ferry',
+  5: 'cable',
+  6: 'cable',
+  7: 'funicular',
+  11: 'bus',
+  12: 'train'
+};
+
+const DEFAULT_LINE_COLORS = {
+  tramway: '#0066cc',
+  metro: '#6600cc',
+  train: '#333333',
+  bus: '#0099cc',
+  other: '#666666'
+};
+
+class GtfsStore {
+  static feed = null;
+
+  static readFeedFiles(feedPath) {
+    const files = {};
+
+    if (fs.statSync(feedPath).isDirectory()) {
+      for (const name of GTFS_FILES) {
+        const file = path.join(feedPath, `${name}.txt`);
+        if (fs.existsSync(file)) files[name] = fs.readFileSync(file, 'utf8');
+      }
+      return files;
+    }
+
+    const zip = new AdmZip(feedPath);
+    for (const entry of zip.getEntries()) {
+      const name = path.basename(entry.entryName, '.txt');
+      if (!entry.isDirectory && GTFS_FILES.includes(name)) {
+        files[name] = entry.getData().toString('utf8');
+      }
+    }
+    return files;
+  }
+
+  static parseTable(content) {
+    if (!content) return [];
+    return parseCsv(content, {
+      columns: true,
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    });
+  }
+
+  static parseTime(value) {
+    if (!value) return null;
+    const [h, m, s] = value.split(':').map(Number);
+    return h * 3600 + m * 60 + (s || 0);
+  }
+
+  static toInt(value, defaultValue = 0) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? defaultValue : n;
+  }
+
+  static routeCategory(routeType) {
+    if (GTFS_ROUTE_TYPES[routeType]) return GTFS_ROUTE_TYPES[routeType];
+    if (routeType >= 900 && routeType < 1000) return 'tramway';
+    if (routeType >= 700 && routeType < 800) return 'bus';
+    if (routeType >= 400 && routeType < 500) return 'metro';
+    if (routeType >= 100 && routeType < 200) return 'train';
+    return 'other';
+  }
+
+  static load(feedPath) {
+    const startedAt = Date.now();
+    const files = this.readFeedFiles(feedPath);
+
+    for (const required of ['routes', 'stops', 'trips', 'stop_times']) {
+      if (!files[required]) throw new Error(`Fichier GTFS manquant: ${required}.txt`);
+    }
+
+    const agencies = this.parseTable(files.agency).map(a => ({
+      id: a.agency_id || 'default',
+      name: a.agency_name,
+      url: a.agency_url,
+      timezone: a.agency_timezone
+    }));
+
+    const routes = new Map();
+    for (const r of this.parseTable(files.routes)) {
+      const type = this.toInt(r.route_type, 3);
+      routes.set(r.route_id, {
+        id: r.route_id,
+        agencyId: r.agency_id || agencies[0]?.id || 'default',
+        shortName: r.route_short_name || '',
+        longName: r.route_long_name || '',
+        type,
+        category: this.routeCategory(type),
+        color: r.route_color ? `#${r.route_color}` : null,
+        textColor: r.route_text_color ? `#${r.route_text_color}` : null,
+        networkId: r.network_id || null
+      });
+    }
+
+    const stops = new Map();
+    for (const s of this.parseTable(files.stops)) {
+      const lat = parseFloat(s.stop_lat);
+      const lon = parseFloat(s.stop_lon);
+      if (Number.isNaN(lat) || Number.isNaN(lon)) continue;
+      stops.set(s.stop_id, {
+        id: s.stop_id,
+        code: s.stop_code || null,
+        name: s.stop_name,
+        lat,
+        lon,
+        locationType: this.toInt(s.location_type),
+        parentStation: s.parent_station || null,
+        zoneId: s.zone_id || null,
+        wheelchairBoarding: this.toInt(s.wheelchair_boarding)
+      });
+    }
+
+    const trips = new Map();
+    const tripsByRoute = new Map();
+    for (const t of this.parseTable(files.trips)) {
+      if (!routes.has(t.route_id)) continue;
+      trips.set(t.trip_id, {
+        id: t.trip_id,
+        routeId: t.route_id,
+        serviceId: t.service_id,
+        headsign: t.trip_headsign || '',
+        directionId: this.toInt(t.direction_id),
+        shapeId: t.shape_id || null,
+        wheelchairAccessible: this.toInt(t.wheelchair_accessible)
+      });
+      if (!tripsByRoute.has(t.route_id)) tripsByRoute.set(t.route_id, []);
+      tripsByRoute.get(t.route_id).push(t.trip_id);
+    }
+
+    const stopTimes = new Map();
+    for (const st of this.parseTable(files.stop_times)) {
+      if (!trips.has(st.trip_id) || !stops.has(st.stop_id)) continue;
+      const arrival = this.parseTime(st.arrival_time);
+      const departure = this.parseTime(st.departure_time);
+      if (!stopTimes.has(st.trip_id)) stopTimes.set(st.trip_id, []);
+      stopTimes.get(st.trip_id).push({
+        stopId: st.stop_id,
+        sequence: this.toInt(st.stop_sequence),
+        arrival: arrival ?? departure,
+        departure: departure ?? arrival
+      });
+    }
+    for (const times of stopTimes.values()) {
+      times.sort((a, b) => a.sequence - b.sequence);
+      this.interpolateTimes(times);
+    }
+
+    const shapes = new Map();
+    const shapePoints = new Map();
+    for (const sh of this.parseTable(files.shapes)) {
+      if (!shapePoints.has(sh.shape_id)) shapePoints.set(sh.shape_id, []);
+      shapePoints.get(sh.shape_id).push({
+        sequence: this.toInt(sh.shape_pt_sequence),
+        point: [parseFloat(sh.shape_pt_lat), parseFloat(sh.shape_pt_lon)]
+      });
+    }
+    for (const [shapeId, points] of shapePoints) {
+      points.sort((a, b) => a.sequence - b.sequence);
+      shapes.set(shapeId, points.map(p => p.point));
+    }
+
+    const calendars = new Map();
+    for (const c of this.parseTable(files.calendar)) {
+      calendars.set(c.service_id, {
+        days: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(d => c[d] === '1'),
+        startDate: c.start_date,
+        endDate: c.end_date
+      });
+    }
+
+    const calendarDates = new Map();
+    for (const cd of this.parseTable(files.calendar_dates)) {
+      if (!calendarDates.has(cd.service_id)) calendarDates.set(cd.service_id, new Map());
+      calendarDates.get(cd.service_id).set(cd.date, this.toInt(cd.exception_type));
+    }
+
+    const stopsByRoute = new Map();
+    const routesByStop = new Map();
+    for (const [routeId, tripIds] of tripsByRoute) {
+      let longest = [];
+      for (const tripId of tripIds) {
+        const times = stopTimes.get(tripId) || [];
+        if (times.length > longest.length) longest = times;
+        for (const st of times) {
+          if (!routesByStop.has(st.stopId)) routesByStop.set(st.stopId, new Set());
+          routesByStop.get(st.stopId).add(routeId);
+        }
+      }
+      stopsByRoute.set(routeId, longest.map(st => st.stopId));
+    }
+
+    this.feed = {
+      source: feedPath,
+      loadedAt: new Date().toISOString(),
+      agencies,
+      routes,
+      stops,
+      trips,
+      stopTimes,
+      shapes,
+      calendars,
+      calendarDates,
+      tripsByRoute,
+      stopsByRoute,
+      routesByStop,
+      fares: this.loadFares(files, routes, stops)
+    };
+
+    logger.info(`✅ GTFS chargé (${routes.size} lignes, ${stops.size} arrêts, ${trips.size} courses) en ${Date.now() - startedAt} ms`);
+    return this.stats();
+  }
+
+  static loadFares(files, routes, stops) {
+    const products = new Map();
+    for (const p of this.parseTable(files.fare_products)) {
+      if (!products.has(p.fare_product_id)) products.set(p.fare_product_id, []);
+      products.get(p.fare_product_id).push({
+        id: p.fare_product_id,
+        name: p.fare_product_name || p.fare_product_id,
+        amount: parseFloat(p.amount) || 0,
+        currency: p.currency,
+        mediaId: p.fare_media_id || null,
+        riderCategoryId: p.rider_category_id || null,
+        duration: p.duration_amount
+          ? this.toInt(p.duration_amount) * (FARE_DURATION_UNITS[this.toInt(p.duration_unit)] || 1)
+          : null
+      });
+    }
+
+    const legRules = this.parseTable(files.fare_leg_rules).map(r => ({
+      legGroupId: r.leg_group_id || null,
+      networkId: r.network_id || null,
+      fromAreaId: r.from_area_id || null,
+      toAreaId: r.to_area_id || null,
+      fromTimeframeGroupId: r.from_timeframe_group_id || null,
+      toTimeframeGroupId: r.to_timeframe_group_id || null,
+      productId: r.fare_product_id,
+      priority: this.toInt(r.rule_priority)
+    }));
+
+    const transferRules = this.parseTable(files.fare_transfer_rules).map(r => ({
+      fromLegGroupId: r.from_leg_group_id || null,
+      toLegGroupId: r.to_leg_group_id || null,
+      transferCount: r.transfer_count ? this.toInt(r.transfer_count) : -1,
+      durationLimit: r.duration_limit ? this.toInt(r.duration_limit) : null,
+      durationLimitType: this.toInt(r.duration_limit_type),
+      type: this.toInt(r.fare_transfer_type),
+      productId: r.fare_product_id || null
+    }));
+
+    const areasByStop = new Map();
+    const addArea = (stopId, areaId) => {
+      if (!areasByStop.has(stopId)) areasByStop.set(stopId, new Set());
+      areasByStop.get(stopId).add(areaId);
+    };
+    const stopAreas = this.parseTable(files.stop_areas);
+    for (const sa of stopAreas) addArea(sa.stop_id, sa.area_id);
+    if (!stopAreas.length) {
+      for (const stop of stops.values()) if (stop.zoneId) addArea(stop.id, stop.zoneId);
+    }
+
+    const routeNetworks = new Map();
+    for (const route of routes.values()) if (route.networkId) routeNetworks.set(route.id, route.networkId);
+    for (const rn of this.parseTable(files.route_networks)) routeNetworks.set(rn.route_id, rn.network_id);
+
+    const timeframes = new Map();
+    for (const t of this.parseTable(files.timeframes)) {
+      if (!timeframes.has(t.timeframe_group_id)) timeframes.set(t.timeframe_group_id, []);
+      timeframes.get(t.timeframe_group_id).push({
+        start: t.start_time ? this.parseTime(t.start_time) : 0,
+        end: t.end_time ? this.parseTime(t.end_time) : 86400,
+        serviceId: t.service_id
+      });
+    }
+
+    return {
+      products,
+      legRules,
+      transferRules,
+      areasByStop,
+      routeNetworks,
+      timeframes,
+      areas: new Map(this.parseTable(files.areas).map(a => [a.area_id, a.area_name || a.area_id])),
+      media: new Map(this.parseTable(files.fare_media).map(m => [m.fare_media_id, {
+        id: m.fare_media_id,
+        name: m.fare_media_name || m.fare_media_id,
+        type: this.toInt(m.fare_media_type)
+      }])),
+      riderCategories: this.parseTable(files.rider_categories).map(c => ({
+        id: c.rider_category_id,
+        name: c.rider_category_name || c.rider_category_id,
+        isDefault: c.is_default_fare_category === '1'
+      }))
+    };
+  }
+
+  static interpolateTimes(times) {
+    let last = null;
+    for (let i = 0; i < times.length; i++) {
+      if (times[i].arrival !== null) {
+        last = i;
+        continue;
+      }
+      const next = times.findIndex((t, j) => j > i && t.arrival !== null);
+      if (last === null || next === -1) continue;
+      const ratio = (i - last) / (next - last);
+      const value = Math.round(times[last].departure + (times[next].arrival - times[last].departure) * ratio);
+      times[i].arrival = value;
+      times[i].departure = value;
+    }
+  }
+
+  static isLoaded() {
+    return this.feed !== null;
+  }
+
+  static stats() {
+    if (!this.feed) return null;
+    return {
+      source: this.feed.source,
+      loadedAt: this.feed.loadedAt,
+      agencies: this.feed.agencies.length,
+      routes: this.feed.routes.size,
+      stops: this.feed.stops.size,
+      trips: this.feed.trips.size,
+      shapes: this.feed.shapes.size,
+      fareProducts: this.feed.fares.products.size
+    };
+  }
+
+  static getTimezone() {
+    return this.feed?.agencies[0]?.timezone || config.timezone;
+  }
+
+  static isServiceActive(serviceId, date) {
+    if (!this.feed) return false;
+    const exception = this.feed.calendarDates.get(serviceId)?.get(date);
+    if (exception === 1) return true;
+    if (exception === 2) return false;
+
+    const calendar = this.feed.calendars.get(serviceId);
+    if (!calendar || date < calendar.startDate || date > calendar.endDate) return false;
+
+    const weekday = new Date(Date.UTC(+date.slice(0, 4), +date.slice(4, 6) - 1, +date.slice(6, 8))).getUTCDay();
+    return calendar.days[weekday];
+  }
+
+  static getRoutes() {
+    return this.feed ? [...this.feed.routes.values()] : [];
+  }
+
+  static getRoute(routeId) {
+    return this.feed?.routes.get(routeId) || null;
+  }
+
+  static getStop(stopId) {
+    return this.feed?.stops.get(stopId) || null;
+  }
+
+  static getRouteStops(routeId) {
+    return (this.feed?.stopsByRoute.get(routeId) || []).map(id => this.feed.stops.get(id));
+  }
+
+  static getStopRoutes(stopId) {
+    return [...(this.feed?.routesByStop.get(stopId) || [])].map(id => this.feed.routes.get(id));
+  }
+
+  static getShape(shapeId) {
+    return this.feed?.shapes.get(shapeId) || null;
+  }
+
+  static getRouteShapes(routeId) {
+    const shapeIds = new Set(
+      (this.feed?.tripsByRoute.get(routeId) || [])
+        .map(tripId => this.feed.trips.get(tripId).shapeId)
+        .filter(Boolean)
+    );
+    return [...shapeIds].map(id => ({ id, coordinates: this.feed.shapes.get(id) || [] }));
+  }
+
+  static findStops({ lat, lon, radius = 500, query, limit = 50 } = {}) {
+    if (!this.feed) return [];
+    let results = [...this.feed.stops.values()].filter(s => s.locationType === 0);
+
+    if (query) {
+      const q = query.toLowerCase();
+      results = results.filter(s => s.name.toLowerCase().includes(q) || s.code?.toLowerCase() === q);
+    }
+
+    if (lat !== undefined && lon !== undefined) {
+      results = results
+        .map(s => ({ ...s, distance: Math.round(RouteService.haversineDistance(lat, lon, s.lat, s.lon)) }))
+        .filter(s => s.distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
+    }
+
+    return results.slice(0, limit);
+  }
+}
+
+/* ==================== GTFS REALTIME ==================== */
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const GTFS_RT_FEEDS = {
+  tripUpdates: 'gtfsRtTripUpdatesUrl',
+  vehiclePositions: 'gtfsRtVehiclePositionsUrl',
+  alerts: 'gtfsRtAlertsUrl'
+};
+
+class GtfsRealtimeService {
+  static state = {
+    tripUpdates: new Map(),
+    vehiclePositions: [],
+    alerts: [],
+    updatedAt: {}
+  };
+
+  static timers = [];
+
+  static async readSource(source) {
+    if (/^https?:\/\//.test(source)) {
+      const res = await trackUpstream('gtfs-rt', () => axios.get(source, { responseType: 'arraybuffer', timeout: config.requestTimeout }));
+      return Buffer.from(res.data);
+    }
+    return fs.promises.readFile(source.replace(/^file:\/\//, ''));
+  }
+
+  static async fetchFeed(source) {
+    const data = await this.readSource(source);
+    const message = source.endsWith('.json')
+      ? FeedMessage.fromObject(JSON.parse(data.toString('utf8')))
+      : FeedMessage.decode(new Uint8Array(data));
+
+    return FeedMessage.toObject(message, { enums: String, longs: Number, defaults: false });
+  }
+
+  static translate(translatedString) {
+    const translations = translatedString?.translation || [];
+    return (translations.find(t => t.language === 'fr') || translations[0])?.text || null;
+  }
+
+  static parseTripUpdates(feed) {
+    const updates = new Map();
+    for (const entity of feed.entity || []) {
+      const tu = entity.tripUpdate;
+      if (!tu?.trip?.tripId) continue;
+      updates.set(tu.trip.tripId, {
+        tripId: tu.trip.tripId,
+        routeId: tu.trip.routeId || GtfsStore.feed?.trips.get(tu.trip.tripId)?.routeId || null,
+        scheduleRelationship: tu.trip.scheduleRelationship || 'SCHEDULED',
+        vehicleId: tu.vehicle?.id || null,
+        delay: tu.delay ?? null,
+        timestamp: tu.timestamp || feed.header?.timestamp || null,
+        stopTimeUpdates: (tu.stopTimeUpdate || []).map(stu => ({
+          stopId: stu.stopId || null,
+          stopSequence: stu.stopSequence ?? null,
+          arrivalDelay: stu.arrival?.delay ?? null,
+          arrivalTime: stu.arrival?.time ?? null,
+          departureDelay: stu.departure?.delay ?? null,
+          departureTime: stu.departure?.time ?? null,
+          scheduleRelationship: stu.scheduleRelationship || 'SCHEDULED'
+        }))
+      });
+    }
+    return updates;
+  }
+
+  static parseVehiclePositions(feed) {
+    return (feed.entity || [])
+      .filter(entity => entity.vehicle?.position)
+      .map(({ id, vehicle }) => ({
+        id: vehicle.vehicle?.id || id,
+        label: vehicle.vehicle?.label || null,
+        tripId: vehicle.trip?.tripId || null,
+        routeId: vehicle.trip?.routeId || GtfsStore.feed?.trips.get(vehicle.trip?.tripId)?.routeId || null,
+        lat: vehicle.position.latitude,
+        lon: vehicle.position.longitude,
+        bearing: vehicle.position.bearing ?? null,
+        speed: vehicle.position.speed ?? null,
+        currentStatus: vehicle.currentStatus || null,
+        stopId: vehicle.stopId || null,
+        timestamp: vehicle.timestamp || feed.header?.timestamp || null
+      }));
+  }
+
+  static parseAlerts(feed) {
+    return (feed.entity || [])
+      .filter(entity => entity.alert)
+      .map(({ id, alert }) => ({
+        id,
+        cause: alert.cause || 'UNKNOWN_CAUSE',
+        effect: alert.effect || 'UNKNOWN_EFFECT',
+        header: this.translate(alert.headerText),
+        description: this.translate(alert.descriptionText),
+        activePeriods: (alert.activePeriod || []).map(p => ({ start: p.start || null, end: p.end || null })),
+        informedEntities: (alert.informedEntity || []).map(e => ({
+          routeId: e.routeId || null,
+          stopId: e.stopId || null,
+          tripId: e.trip?.tripId || null
+        }))
+      }));
+  }
+
+  static async poll(kind) {
+    const source = config[GTFS_RT_FEEDS[kind]];
+    try {
+      const feed = await this.fetchFeed(source);
+      if (kind === 'tripUpdates') this.state.tripUpdates = this.parseTripUpdates(feed);
+      if (kind === 'vehiclePositions') this.state.vehiclePositions = this.parseVehiclePositions(feed);
+      if (kind === 'alerts') this.state.alerts = this.parseAlerts(feed);
+      this.state.updatedAt[kind] = new Date().toISOString();
+      await this.persist(kind);
+      await AnomalyService.detectFromRealtime(kind);
+    } catch (err) {
+      logger.warn(`GTFS-RT ${kind} indisponible (${err.message})`);
+    }
+  }
+
+  static async persist(kind) {
+    const value = kind === 'tripUpdates' ? [...this.state.tripUpdates.values()] : this.state[kind];
+    await CacheService.set(`gtfsrt:${kind}`, {
+      updatedAt: this.state.updatedAt[kind],
+      data: value
+    }, config.gtfsRtPollInterval * 10);
+  }
+
+  static async restore() {
+    for (const kind of Object.keys(GTFS_RT_FEEDS)) {
+      const cached = await CacheService.get(`gtfsrt:${kind}`);
+      if (!cached) continue;
+      this.state[kind] = kind === 'tripUpdates'
+        ? new Map(cached.data.map(u => [u.tripId, u]))
+        : cached.data;
+      this.state.updatedAt[kind] = cached.updatedAt;
+    }
+  }
+
+  static async start() {
+    const kinds = Object.keys(GTFS_RT_FEEDS).filter(kind => config[GTFS_RT_FEEDS[kind]]);
+    if (!kinds.length) return;
+
+    await this.restore();
+    for (const kind of kinds) {
+      let running = false;
+      const run = async () => {
+        if (running) return;
+        running = true;
+        await this.poll(kind);
+        running = false;
+      };
+      await run();
+      this.timers.push(setInterval(run, config.gtfsRtPollInterval * 1000));
+    }
+    logger.info(`✅ GTFS-RT actif (${kinds.join(', ')}) toutes les ${config.gtfsRtPollInterval}s`);
+  }
+
+  static stop() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+
+  static getTripUpdate(tripId) {
+    return this.state.tripUpdates.get(tripId) || null;
+  }
+
+  static getStopDelays(update, times, serviceDate, offset, timeZone) {
+    const bySequence = new Map();
+    const byStop = new Map();
+    for (const stu of update.stopTimeUpdates) {
+      if (stu.stopSequence !== null) bySequence.set(stu.stopSequence, stu);
+      else if (stu.stopId) byStop.set(stu.stopId, stu);
+    }
+
+    let delay = update.delay || 0;
+    return times.map(t => {
+      const stu = bySequence.get(t.sequence) || byStop.get(t.stopId);
+      if (!stu) return { delay, skipped: false };
+      if (stu.scheduleRelationship === 'SKIPPED') return { delay, skipped: true };
+
+      if (stu.departureDelay !== null || stu.arrivalDelay !== null) {
+        delay = stu.departureDelay ?? stu.arrivalDelay;
+      } else if (stu.departureTime || stu.arrivalTime) {
+        const scheduled = TimeService.fromServiceTime(serviceDate, t.departure + offset, timeZone).getTime() / 1000;
+        delay = Math.round((stu.departureTime || stu.arrivalTime) - scheduled);
+      }
+      return { delay, skipped: false };
+    });
+  }
+
+  static status() {
+    return {
+      tripUpdates: this.state.tripUpdates.size,
+      vehiclePositions: this.state.vehiclePositions.length,
+      alerts: this.state.alerts.length,
+      updatedAt: this.state.updatedAt
+    };
+  }
+}
+
+/* ==================== ANOMALY DETECTION ==================== */
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const ALERT_CAUSE_TYPES = {
+  STRIKE: 'STRIKE',
+  DEMONSTRATION: 'STRIKE',
+  ACCIDENT: 'INCIDENT',
+  TECHNICAL_PROBLEM: 'INCIDENT',
+  POLICE_ACTIVITY: 'INCIDENT',
+  MEDICAL_EMERGENCY: 'INCIDENT',
+  CONSTRUCTION: 'DIVERSION',
+  MAINTENANCE: 'DIVERSION'
+};
+
+const ALERT_EFFECT_TYPES = {
+  NO_SERVICE: 'CANCELLATION',
+  REDUCED_SERVICE: 'CANCELLATION',
+  DETOUR: 'DIVERSION',
+  STOP_MOVED: 'DIVERSION',
+  SIGNIFICANT_DELAYS: 'DELAY'
+};
+
+class AnomalyService {
+  static anomalies = new Map();
+
+  static async record({ key, type, severity, message, affectedLines = [], location = null, source, durationMinutes = 15, start, end, details = {} }) {
+    const now = new Date();
+    const existing = this.anomalies.get(key);
+    const anomaly = {
+      id: key,
+      type,
+      severity,
+      message,
+      affectedLines,
+      location,
+      source,
+      timeWindow: {
+        start: start || existing?.timeWindow.start || now.toISOString(),
+        end: end || new Date(now.getTime() + durationMinutes * 60000).toISOString()
+      },
+      detectedAt: existing?.detectedAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      details
+    };
+
+    this.anomalies.set(key, anomaly);
+    if (!existing) {
+      metrics.anomaliesDetected.inc({ type, severity });
+      logger.info(`Anomalie détectée: ${type} (${severity}) - ${message}`);
+    }
+    return anomaly;
+  }
+
+  static async persist() {
+    this.prune();
+    await CacheService.set('anomalies:active', [...this.anomalies.values()], 3600);
+  }
+
+  static async restore() {
+    const cached = await CacheService.get('anomalies:active');
+    for (const anomaly of cached || []) {
+      if (!this.anomalies.has(anomaly.id)) this.anomalies.set(anomaly.id, anomaly);
+    }
+  }
+
+  static prune() {
+    const cutoff = Date.now() - 3600 * 1000;
+    for (const [key, anomaly] of this.anomalies) {
+      if (new Date(anomaly.timeWindow.end).getTime() < cutoff) this.anomalies.delete(key);
+    }
+  }
+
+  static isActive(anomaly, at = new Date()) {
+    return new Date(anomaly.timeWindow.start) <= at && new Date(anomaly.timeWindow.end) >= at;
+  }
+
+  static list({ type, severity, line, activeOnly = true } = {}) {
+    this.prune();
+    const minLevel = severity ? SEVERITY_LEVELS.indexOf(severity) : 0;
+    return [...this.anomalies.values()]
+      .filter(a => !activeOnly || this.isActive(a))
+      .filter(a => !type || a.type === type)
+      .filter(a => SEVERITY_LEVELS.indexOf(a.severity) >= minLevel)
+      .filter(a => !line || a.affectedLines.includes(line))
+      .sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity));
+  }
+
+  static forRoute({ lineIds = [], coordinates = [] }, radius = 150) {
+    return this.list().filter(a =>
+      a.affectedLines.some(id => lineIds.includes(id)) ||
+      (a.location && coordinates.length &&
+        RouteService.distanceToPolyline(a.location.lat, a.location.lon, coordinates) <= radius)
+    );
+  }
+
+  static lineName(routeId) {
+    const route = GtfsStore.getRoute(routeId);
+    return route ? (route.shortName || route.longName || routeId) : routeId;
+  }
+
+  static async detectFromTraffic(lat, lon, traffic, bucket) {
+    const ratio = traffic.freeFlowSpeed ? traffic.currentSpeed / traffic.freeFlowSpeed : 1;
+    const key = `traffic:${bucket}`;
+    const location = { lat, lon };
+    const details = {
+      currentSpeed: traffic.currentSpeed,
+      freeFlowSpeed: traffic.freeFlowSpeed,
+      confidence: traffic.confidence
+    };
+
+    if (traffic.roadClosure) {
+      await this.record({
+        key, type: 'INCIDENT', severity: 'CRITICAL', source: 'traffic', location, details,
+        message: 'Route fermée à la circulation'
+      });
+    } else if (ratio < 0.5 && traffic.confidence >= 0.5) {
+      await this.record({
+        key, type: 'CONGESTION', severity: ratio < 0.25 ? 'HIGH' : 'MEDIUM', source: 'traffic', location, details,
+        message: `Vitesse ${traffic.currentSpeed} km/h au lieu de ${traffic.freeFlowSpeed} km/h`
+      });
+    } else {
+      return;
+    }
+    await this.persist();
+  }
+
+  static async detectFromRealtime(kind) {
+    if (kind === 'tripUpdates') await this.detectDelaysAndCancellations();
+    if (kind === 'vehiclePositions') {
+      await this.detectMissingVehicles();
+      await this.detectDeviations();
+    }
+    if (kind === 'alerts') await this.detectServiceAlerts();
+    await this.persist();
+  }
+
+  static async detectDelaysAndCancellations() {
+    for (const update of GtfsRealtimeService.state.tripUpdates.values()) {
+      const lines = update.routeId ? [update.routeId] : [];
+      const name = this.lineName(update.routeId);
+
+      if (update.scheduleRelationship === 'CANCELED') {
+        await this.record({
+          key: `trip:${update.tripId}:cancelled`, type: 'CANCELLATION', severity: 'HIGH', source: 'gtfs-rt',
+          affectedLines: lines, durationMinutes: 60, details: { tripId: update.tripId },
+          message: `Course ${update.tripId} supprimée sur la ligne ${name}`
+        });
+        continue;
+      }
+
+      const delays = [update.delay, ...update.stopTimeUpdates.map(s => s.departureDelay ?? s.arrivalDelay)]
+        .filter(d => typeof d === 'number');
+      const delay = delays.length ? Math.max(...delays) : 0;
+      if (delay < config.anomalyDelayThreshold) continue;
+
+      const minutes = Math.round(delay / 60);
+      await this.record({
+        key: `trip:${update.tripId}:delay`, type: 'DELAY', severity: minutes >= 15 ? 'HIGH' : 'MEDIUM', source: 'gtfs-rt',
+        affectedLines: lines, durationMinutes: Math.max(15, minutes), details: { tripId: update.tripId, delayMinutes: minutes },
+        message: `Retard de ${minutes} minutes sur la ligne ${name}`
+      });
+    }
+  }
+
+  static runningTrips(now = new Date()) {
+    const feed = GtfsStore.feed;
+    if (!feed) return [];
+
+    const timeZone = GtfsStore.getTimezone();
+    const today = TimeService.toServiceDate(now, timeZone);
+    const seconds = TimeService.secondsSinceMidnight(now, timeZone);
+    const days = [
+      { date: today, time: seconds },
+      { date: TimeService.shiftServiceDate(today, -1), time: seconds + 86400 }
+    ];
+
+    const running = [];
+    for (const [tripId, times] of feed.stopTimes) {
+      const trip = feed.trips.get(tripId);
+      for (const { date, time } of days) {
+        if (times[0].departure <= time && times[times.length - 1].arrival >= time &&
+          GtfsStore.isServiceActive(trip.serviceId, date)) {
+          running.push(trip);
+          break;
+        }
+      }
+    }
+    return running;
+  }
+
+  static async detectMissingVehicles() {
+    const vehicles = GtfsRealtimeService.state.vehiclePositions;
+    if (!vehicles.length) return;
+
+    const trackedTrips = new Set(vehicles.map(v => v.tripId).filter(Boolean));
+    const trackedRoutes = new Set(vehicles.map(v => v.routeId).filter(Boolean));
+    const expected = new Map();
+    for (const trip of this.runningTrips()) {
+      if (!trackedRoutes.has(trip.routeId)) continue;
+      if (!expected.has(trip.routeId)) expected.set(trip.routeId, { total: 0, missing: [] });
+      const entry = expected.get(trip.routeId);
+      entry.total++;
+      if (!trackedTrips.has(trip.id)) entry.missing.push(trip.id);
+    }
+
+    for (const [routeId, { total, missing }] of expected) {
+      const ratio = missing.length / total;
+      if (ratio < 0.3) continue;
+      await this.record({
+        key: `route:${routeId}:missing`, type: 'MISSING_VEHICLE', severity: ratio >= 0.6 ? 'HIGH' : 'MEDIUM', source: 'gtfs-rt',
+        affectedLines: [routeId], details: { expected: total, missing: missing.length, tripIds: missing },
+        message: `${missing.length}/${total} véhicules attendus non localisés sur la ligne ${this.lineName(routeId)}`
+      });
+    }
+  }
+
+  static async detectDeviations() {
+    for (const vehicle of GtfsRealtimeService.state.vehiclePositions) {
+      const shapeId = GtfsStore.feed?.trips.get(vehicle.tripId)?.shapeId;
+      const shape = shapeId ? GtfsStore.getShape(shapeId) : null;
+      if (!shape?.length) continue;
+
+      const distance = Math.round(RouteService.distanceToPolyline(vehicle.lat, vehicle.lon, shape));
+      if (distance < config.anomalyDeviationThreshold) continue;
+
+      await this.record({
+        key: `vehicle:${vehicle.id}:deviation`, type: 'DIVERSION', severity: distance > 1000 ? 'HIGH' : 'MEDIUM', source: 'gtfs-rt',
+        affectedLines: vehicle.routeId ? [vehicle.routeId] : [], location: { lat: vehicle.lat, lon: vehicle.lon },
+        details: { vehicleId: vehicle.id, tripId: vehicle.tripId, distance },
+        message: `Véhicule ${vehicle.label || vehicle.id} à ${distance} m de son tracé sur la ligne ${this.lineName(vehicle.routeId)}`
+      });
+    }
+  }
+
+  static async detectServiceAlerts() {
+    for (const alert of GtfsRealtimeService.state.alerts) {
+      const type = ALERT_CAUSE_TYPES[alert.cause] || ALERT_EFFECT_TYPES[alert.effect] || 'INCIDENT';
+      const period = alert.activePeriods[0];
+      const lines = [...new Set(alert.informedEntities.map(e => e.routeId).filter(Boolean))];
+      const stop = alert.informedEntities.map(e => GtfsStore.getStop(e.stopId)).find(Boolean);
+
+      let severity = 'MEDIUM';
+      if (type === 'STRIKE' || alert.effect === 'NO_SERVICE') severity = 'CRITICAL';
+      else if (type === 'CANCELLATION' || type === 'INCIDENT') severity = 'HIGH';
+
+      await this.record({
+        key: `alert:${alert.id}`, type, severity, source: 'gtfs-rt', affectedLines: lines,
+        location: stop ? { lat: stop.lat, lon: stop.lon } : null,
+        start: period?.start ? new Date(period.start * 1000).toISOString() : undefined,
+        end: period?.end ? new Date(period.end * 1000).toISOString() : undefined,
+        durationMinutes: 60,
+        details: { cause: alert.cause, effect: alert.effect, description: alert.description },
+        message: alert.header || `${alert.cause} - ${alert.effect}`
+      });
+    }
+  }
+}
+
+/* ==================== TRANSPORT PUBLIC SERVICE ==================== */
+class PublicTransportService {
+  static formatLine(route) {
+    return {
+      id: route.id,
+      shortName: route.shortName,
+      name: route.longName || route.shortName || route.id,
+      type: route.category,
+      color: route.color || DEFAULT_LINE_COLORS[route.category] || DEFAULT_LINE_COLORS.other,
+      textColor: route.textColor || '#ffffff',
+      stations: GtfsStore.getRouteStops(route.id).length
+    };
+  }
+
+  static getTransportLines() {
+    const lines = { tramway: [], bus: [] };
+    if (!GtfsStore.isLoaded()) return lines;
+
+    for (const route of GtfsStore.getRoutes()) {
+      const line = this.formatLine(route);
+      if (!lines[line.type]) lines[line.type] = [];
+      lines[line.type].push(line);
+    }
+
+    for (const category of Object.keys(lines)) {
+      lines[category].sort((a, b) => a.shortName.localeCompare(b.shortName, 'fr', { numeric: true }));
+    }
+    return lines;
+  }
+
+  static getLineDetails(routeId) {
+    const route = GtfsStore.getRoute(routeId);
+    if (!route) return null;
+
+    return {
+      ...this.formatLine(route),
+      stops: GtfsStore.getRouteStops(routeId),
+      shapes: GtfsStore.getRouteShapes(routeId)
+    };
+  }
+
+  static getStopDetails(stopId) {
+    const stop = GtfsStore.getStop(stopId);
+    if (!stop) return null;
+
+    return {
+      ...stop,
+      lines: GtfsStore.getStopRoutes(stopId).map(r => this.formatLine(r))
+    };
+  }
+}
+
+/* ==================== ACCESSIBILITY ==================== */
+const ACCESSIBILITY_PROFILES = ['wheelchair'];
+const WHEELCHAIR_STATUS = ['unknown', 'accessible', 'inaccessible'];
+
+class AccessibilityService {
+  static stopStatus(stopId) {
+    const stop = GtfsStore.getStop(stopId);
+    if (!stop) return 'unknown';
+    if (!stop.wheelchairBoarding && stop.parentStation) return this.stopStatus(stop.parentStation);
+    return WHEELCHAIR_STATUS[stop.wheelchairBoarding] || 'unknown';
+  }
+
+  static tripStatus(tripId) {
+    return WHEELCHAIR_STATUS[GtfsStore.feed?.trips.get(tripId)?.wheelchairAccessible] || 'unknown';
+  }
+
+  static isUsable(status) {
+    return status === 'accessible' || (status === 'unknown' && config.wheelchairAllowUnknown);
+  }
+
+  static legStatus(leg, path = null) {
+    const checks = [leg.from, leg.to]
+      .filter(place => place?.stopId)
+      .map(place => ({ status: this.stopStatus(place.stopId), subject: `arrêt ${place.name}` }));
+    if (leg.type === 'ride') {
+      checks.unshift({ status: this.tripStatus(leg.tripId), subject: `véhicule ${leg.line.shortName || leg.line.id}` });
+    }
+    if (path) checks.push({ ...path, subject: 'cheminement' });
+    if (!checks.length) {
+      return { status: 'unknown', reasons: ['Cheminement piéton non vérifié'] };
+    }
+
+    const status = ['inaccessible', 'unknown'].find(s => checks.some(c => c.status === s)) || 'accessible';
+    return {
+      status,
+      reasons: checks
+        .filter(c => c.status !== 'accessible')
+        .map(c => c.reason || (c.status === 'unknown' ? `Accessibilité non renseignée : ${c.subject}` : `Non accessible : ${c.subject}`))
+    };
+  }
+
+  static summarize(legs) {
+    const unknownLegs = legs.map((l, i) => (l.accessibility.status === 'unknown' ? i : null)).filter(i => i !== null);
+    return {
+      profile: 'wheelchair',
+      status: legs.some(l => l.accessibility.status === 'inaccessible') ? 'inaccessible' : unknownLegs.length ? 'unknown' : 'accessible',
+      unknownLegs
+    };
+  }
+
+  static annotate(itinerary) {
+    const legs = itinerary.legs.map(leg => ({ ...leg, accessibility: this.legStatus(leg) }));
+    return { ...itinerary, legs, accessibility: this.summarize(legs) };
+  }
+
+  static async routeWalk(leg, i, count) {
+    let route = null;
+    try {
+      route = await RoutingService.getRoute(leg.from.lat, leg.from.lon, leg.to.lat, leg.to.lon, 'wheelchair');
+    } catch (err) {
+      logger.warn(`Cheminement fauteuil roulant indisponible (${err.message})`);
+    }
+    if (!route) {
+      return { ...leg, accessibility: this.legStatus(leg, { status: 'unknown', reason: 'Cheminement accessible non calculé' }) };
+    }
+
+    const walkDuration = Math.round(route.duration);
+    const routed = { ...leg, distance: Math.round(route.distance), coordinates: route.coordinates };
+    let path = route.accessibility === 'accessible'
+      ? { status: 'accessible' }
+      : { status: 'unknown', reason: 'Cheminement non vérifié pour fauteuil roulant' };
+
+    if (leg.type === 'transfer') {
+      routed.walkDuration = walkDuration;
+      if (walkDuration > leg.duration) {
+        path = { status: 'inaccessible', reason: 'Correspondance manquée : cheminement accessible plus long que le temps de correspondance' };
+      }
+    } else if (i === 0 && count > 1) {
+      routed.duration = walkDuration;
+      routed.departureTime = new Date(new Date(leg.arrivalTime).getTime() - walkDuration * 1000).toISOString();
+    } else {
+      routed.duration = walkDuration;
+      routed.arrivalTime = new Date(new Date(leg.departureTime).getTime() + walkDuration * 1000).toISOString();
+    }
+    return { ...routed, accessibility: this.legStatus(routed, path) };
+  }
+
+  static async routeWalks(itinerary) {
+    const legs = await Promise.all(itinerary.legs.map((leg, i) => (leg.type === 'ride' || !leg.distance
+      ? leg
+      : this.routeWalk(leg, i, itinerary.legs.length))));
+    const departureTime = legs[0].departureTime;
+    const arrivalTime = legs[legs.length - 1].arrivalTime;
+
+    return {
+      ...itinerary,
+      departureTime,
+      arrivalTime,
+      duration: Math.round((new Date(arrivalTime) - new Date(departureTime)) / 1000),
+      walkingDistance: legs.filter(l => l.type !== 'ride').reduce((sum, l) => sum + l.distance, 0),
+      legs,
+      accessibility: this.summarize(legs)
+    };
+  }
+
+  static async routeItineraries(itineraries, accessibility) {
+    if (!accessibility) return itineraries;
+    return (await Promise.all(itineraries.map(it => this.routeWalks(it))))
+      .filter(it => !it.legs.some(l => l.type === 'transfer' && l.walkDuration > l.duration));
+  }
+}
+
+/* ==================== JOURNEY PLANNER ==================== */
+const MIN_TRANSFER_TIME = 60;
+
+class JourneyPlanner {
+  static index = null;
+
+  static getIndex() {
+    const feed = GtfsStore.feed;
+    if (!feed) return null;
+    if (this.index?.loadedAt === feed.loadedAt) return this.index;
+
+    const patterns = new Map();
+    for (const [tripId, times] of feed.stopTimes) {
+      if (times.length < 2) continue;
+      const trip = feed.trips.get(tripId);
+      const key = `${trip.routeId}|${times.map(t => t.stopId).join(',')}`;
+      if (!patterns.has(key)) {
+        patterns.set(key, {
+          id: patterns.size,
+          routeId: trip.routeId,
+          stops: times.map(t => t.stopId),
+          trips: []
+        });
+      }
+      patterns.get(key).trips.push({ tripId, serviceId: trip.serviceId, times });
+    }
+
+    const stopPatterns = new Map();
+    for (const pattern of patterns.values()) {
+      pattern.trips.sort((a, b) => a.times[0].departure - b.times[0].departure);
+      pattern.stops.forEach((stopId, index) => {
+        if (!stopPatterns.has(stopId)) stopPatterns.set(stopId, []);
+        stopPatterns.get(stopId).push({ pattern, index });
+      });
+    }
+
+    this.index = {
+      loadedAt: feed.loadedAt,
+      patterns: [...patterns.values()],
+      stopPatterns,
+      footpaths: this.buildFootpaths([...feed.stops.values()].filter(s => s.locationType === 0))
+    };
+
+    logger.info(`Index RAPTOR construit (${this.index.patterns.length} motifs de desserte)`);
+    return this.index;
+  }
+
+  static buildFootpaths(stops) {
+    const cellSize = Math.max(0.001, config.maxTransferDistance / 55000);
+    const cellOf = (lat, lon) => [Math.floor(lat / cellSize), Math.floor(lon / cellSize)];
+    const grid = new Map();
+
+    for (const stop of stops) {
+      const key = cellOf(stop.lat, stop.lon).join(':');
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(stop);
+    }
+
+    const footpaths = new Map();
+    for (const stop of stops) {
+      const [x, y] = cellOf(stop.lat, stop.lon);
+      const paths = [];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const other of grid.get(`${x + dx}:${y + dy}`) || []) {
+            if (other.id === stop.id) continue;
+            const distance = RouteService.haversineDistance(stop.lat, stop.lon, other.lat, other.lon);
+            if (distance <= config.maxTransferDistance) {
+              paths.push({
+                stopId: other.id,
+                distance: Math.round(distance),
+                duration: Math.round(distance / config.walkingSpeed)
+              });
+            }
+          }
+        }
+      }
+      if (paths.length) footpaths.set(stop.id, paths);
+    }
+    return footpaths;
+  }
+
+  static findNearbyStops(lat, lon, wheelchair = false) {
+    const radius = wheelchair ? Math.min(config.maxWalkingDistance, config.wheelchairMaxWalkingDistance) : config.maxWalkingDistance;
+    return GtfsStore.findStops({ lat, lon, radius, limit: 30 })
+      .filter(s => !wheelchair || AccessibilityService.isUsable(AccessibilityService.stopStatus(s.id)))
+      .map(s => ({
+        stopId: s.id,
+        distance: s.distance,
+        duration: Math.round(s.distance / (wheelchair ? config.wheelchairSpeed : config.walkingSpeed))
+      }));
+  }
+
+  static isServiceActive(ctx, serviceId, date) {
+    const key = `${serviceId}:${date}`;
+    if (!ctx.services.has(key)) {
+      ctx.services.set(key, GtfsStore.isServiceActive(serviceId, date));
+    }
+    return ctx.services.get(key);
+  }
+
+  static getActiveTrips(pattern, ctx) {
+    if (ctx.activeTrips.has(pattern.id)) return ctx.activeTrips.get(pattern.id);
+
+    const trips = [];
+    for (const { date, offset } of ctx.days) {
+      for (const trip of pattern.trips) {
+        if (!this.isServiceActive(ctx, trip.serviceId, date)) continue;
+        if (ctx.wheelchair && !AccessibilityService.isUsable(AccessibilityService.tripStatus(trip.tripId))) continue;
+
+        const update = GtfsRealtimeService.getTripUpdate(trip.tripId);
+        if (update?.scheduleRelationship === 'CANCELED') continue;
+
+        trips.push({
+          ...trip,
+          offset,
+          realtime: update
+            ? GtfsRealtimeService.getStopDelays(update, trip.times, date, offset, ctx.timeZone)
+            : null
+        });
+      }
+    }
+    trips.sort((a, b) => this.departureAt(a, 0) - this.departureAt(b, 0));
+
+    ctx.activeTrips.set(pattern.id, trips);
+    return trips;
+  }
+
+  static departureAt(trip, index) {
+    const realtime = trip.realtime?.[index];
+    if (realtime?.skipped) return Infinity;
+    return trip.times[index].departure + trip.offset + (realtime?.delay || 0);
+  }
+
+  static arrivalAt(trip, index) {
+    const realtime = trip.realtime?.[index];
+    if (realtime?.skipped) return Infinity;
+    return trip.times[index].arrival + trip.offset + (realtime?.delay || 0);
+  }
+
+  static findTrip(trips, index, readyAt) {
+    let found = null;
+    for (const trip of trips) {
+      const departure = this.departureAt(trip, index);
+      if (departure >= readyAt && departure !== Infinity && (!found || departure < this.departureAt(found, index))) {
+        found = trip;
+      }
+    }
+    return found;
+  }
+
+  static search(ctx, departure) {
+    const { index, access, egress, maxTransfers, deadline = Infinity } = ctx;
+    const best = new Map();
+    const rounds = [new Map()];
+    let marked = new Set();
+
+    for (const a of access) {
+      const time = departure + a.duration;
+      if (time < (best.get(a.stopId) ?? Infinity)) {
+        rounds[0].set(a.stopId, { time, parent: { type: 'access', ...a } });
+        best.set(a.stopId, time);
+        marked.add(a.stopId);
+      }
+    }
+
+    const results = [];
+    let bestTarget = deadline;
+
+    for (let k = 1; k <= maxTransfers + 1 && marked.size; k++) {
+      const previous = rounds[k - 1];
+      const current = new Map(previous);
+      rounds.push(current);
+
+      const queue = new Map();
+      for (const stopId of marked) {
+        for (const { pattern, index: i } of index.stopPatterns.get(stopId) || []) {
+          if (!queue.has(pattern) || queue.get(pattern) > i) queue.set(pattern, i);
+        }
+      }
+
+      marked = new Set();
+      for (const [pattern, start] of queue) {
+        const trips = this.getActiveTrips(pattern, ctx);
+        let trip = null;
+        let boardIndex = -1;
+        let boardLabel = null;
+
+        for (let i = start; i < pattern.stops.length; i++) {
+          const stopId = pattern.stops[i];
+          if (ctx.wheelchair && !AccessibilityService.isUsable(AccessibilityService.stopStatus(stopId))) continue;
+
+          if (trip) {
+            const arrival = this.arrivalAt(trip, i);
+            if (arrival < Math.min(best.get(stopId) ?? Infinity, bestTarget)) {
+              current.set(stopId, {
+                time: arrival,
+                round: k,
+                parent: { type: 'ride', pattern, trip, boardIndex, alightIndex: i, previous: boardLabel }
+              });
+              best.set(stopId, arrival);
+              marked.add(stopId);
+            }
+          }
+
+          const label = previous.get(stopId);
+          if (!label) continue;
+          const readyAt = label.time + (label.parent.type === 'ride' ? ctx.transferTime : 0);
+          if (!trip || readyAt <= this.departureAt(trip, i)) {
+            const candidate = this.findTrip(trips, i, readyAt);
+            if (candidate && candidate !== trip) {
+              trip = candidate;
+              boardIndex = i;
+              boardLabel = label;
+            }
+          }
+        }
+      }
+
+      for (const stopId of [...marked]) {
+        const label = current.get(stopId);
+        if (label.parent.type !== 'ride') continue;
+        for (const path of index.footpaths.get(stopId) || []) {
+          const duration = ctx.wheelchair ? Math.round(path.distance / config.wheelchairSpeed) : path.duration;
+          const time = label.time + duration;
+          if (time < Math.min(best.get(path.stopId) ?? Infinity, bestTarget)) {
+            current.set(path.stopId, {
+              time,
+              round: k,
+              parent: { type: 'transfer', fromStopId: stopId, ...path, duration, previous: label }
+            });
+            best.set(path.stopId, time);
+            marked.add(path.stopId);
+          }
+        }
+      }
+
+      let improved = null;
+      for (const e of egress) {
+        const label = current.get(e.stopId);
+        if (!label || label.round !== k || label.parent.type !== 'ride') continue;
+        const arrival = label.time + e.duration;
+        if (arrival < bestTarget) {
+          bestTarget = arrival;
+          improved = { label, egress: e };
+        }
+      }
+
+      if (improved) {
+        results.push({
+          arrival: bestTarget,
+          transfers: k - 1,
+          chain: this.reconstruct(improved.label),
+          egress: improved.egress
+        });
+      }
+    }
+
+    return { results, best };
+  }
+
+  static reconstruct(label) {
+    const chain = [];
+    let current = label;
+    while (current) {
+      chain.unshift(current.parent);
+      current = current.parent.previous || null;
+    }
+    return chain;
+  }
+
+  static formatStop(stop) {
+    return { stopId: stop.id, name: stop.name, lat: stop.lat, lon: stop.lon };
+  }
+
+  static getRideGeometry(shapeId, stops) {
+    const stopCoords = stops.map(s => [s.lat, s.lon]);
+    const shape = shapeId ? GtfsStore.getShape(shapeId) : null;
+    if (!shape || shape.length < 2) return stopCoords;
+
+    const nearest = (stop, from) => {
+      let bestIndex = from;
+      let bestDistance = Infinity;
+      for (let i = from; i < shape.length; i++) {
+        const d = (shape[i][0] - stop.lat) ** 2 + (shape[i][1] - stop.lon) ** 2;
+        if (d < bestDistance) {
+          bestDistance = d;
+          bestIndex = i;
+        }
+      }
+      return bestIndex;
+    };
+
+    const start = nearest(stops[0], 0);
+    const end = nearest(stops[stops.length - 1], start);
+    return end > start ? shape.slice(start, end + 1) : stopCoords;
+  }
+
+  static buildItinerary(result, ctx, origin, destination) {
+    const toIso = seconds => TimeService.fromServiceTime(ctx.serviceDate, seconds, ctx.timeZone).toISOString();
+    const [access, ...steps] = result.chain;
+
+    const rides = [];
+    let pendingTransfer = null;
+    for (const step of steps) {
+      if (step.type === 'transfer') {
+        pendingTransfer = step;
+      } else {
+        rides.push({ ride: step, transfer: pendingTransfer });
+        pendingTransfer = null;
+      }
+    }
+
+    const legs = [];
+    const departureOf = ride => this.departureAt(ride.trip, ride.boardIndex);
+    const arrivalOf = ride => this.arrivalAt(ride.trip, ride.alightIndex);
+    const firstStop = GtfsStore.getStop(access.stopId);
+    const start = departureOf(rides[0].ride) - access.duration;
+
+    if (access.distance > 0) {
+      legs.push({
+        type: 'walk',
+        from: { name: origin.display_name || 'Départ', lat: origin.lat, lon: origin.lon },
+        to: this.formatStop(firstStop),
+        distance: access.distance,
+        duration: access.duration,
+        departureTime: toIso(start),
+        arrivalTime: toIso(start + access.duration),
+        coordinates: [[origin.lat, origin.lon], [firstStop.lat, firstStop.lon]]
+      });
+    }
+
+    let clock = start + access.duration;
+    let previousStop = firstStop;
+
+    for (const { ride, transfer } of rides) {
+      const { pattern, trip, boardIndex, alightIndex } = ride;
+      const stops = pattern.stops.slice(boardIndex, alightIndex + 1).map(id => GtfsStore.getStop(id));
+      const departure = departureOf(ride);
+      const arrival = arrivalOf(ride);
+
+      if (legs.some(l => l.type === 'ride')) {
+        legs.push({
+          type: 'transfer',
+          from: this.formatStop(previousStop),
+          to: this.formatStop(stops[0]),
+          distance: transfer?.distance || 0,
+          walkDuration: transfer?.duration || 0,
+          duration: departure - clock,
+          departureTime: toIso(clock),
+          arrivalTime: toIso(departure),
+          coordinates: [[previousStop.lat, previousStop.lon], [stops[0].lat, stops[0].lon]]
+        });
+      }
+
+      const route = GtfsStore.getRoute(pattern.routeId);
+      const tripInfo = GtfsStore.feed.trips.get(trip.tripId);
+      legs.push({
+        type: 'ride',
+        mode: route.category,
+        line: PublicTransportService.formatLine(route),
+        tripId: trip.tripId,
+        headsign: tripInfo.headsign,
+        from: this.formatStop(stops[0]),
+        to: this.formatStop(stops[stops.length - 1]),
+        intermediateStops: stops.slice(1, -1).map(st => this.formatStop(st)),
+        duration: arrival - departure,
+        departureTime: toIso(departure),
+        arrivalTime: toIso(arrival),
+        scheduledDepartureTime: toIso(trip.times[boardIndex].departure + trip.offset),
+        scheduledArrivalTime: toIso(trip.times[alightIndex].arrival + trip.offset),
+        delay: trip.realtime ? trip.realtime[boardIndex].delay : null,
+        realtime: Boolean(trip.realtime),
+        coordinates: this.getRideGeometry(tripInfo.shapeId, stops)
+      });
+
+      clock = arrival;
+      previousStop = stops[stops.length - 1];
+    }
+
+    if (result.egress.distance > 0) {
+      legs.push({
+        type: 'walk',
+        from: this.formatStop(previousStop),
+        to: { name: destination.display_name || 'Arrivée', lat: destination.lat, lon: destination.lon },
+        distance: result.egress.distance,
+        duration: result.egress.duration,
+        departureTime: toIso(clock),
+        arrivalTime: toIso(clock + result.egress.duration),
+        coordinates: [[previousStop.lat, previousStop.lon], [destination.lat, destination.lon]]
+      });
+    }
+
+    const end = clock + result.egress.duration;
+    return {
+      departureTime: toIso(start),
+      arrivalTime: toIso(end),
+      duration: end - start,
+      transfers: result.transfers,
+      walkingDistance: legs.filter(l => l.type !== 'ride').reduce((sum, l) => sum + l.distance, 0),
+      legs,
+      leaveAt: start
+    };
+  }
+
+  static buildWalkItinerary(origin, destination, departureTime, speed = config.walkingSpeed) {
+    const distance = Math.round(RouteService.haversineDistance(origin.lat, origin.lon, destination.lat, destination.lon));
+    const duration = Math.round(distance / speed);
+    const arrivalTime = new Date(departureTime.getTime() + duration * 1000).toISOString();
+
+    return {
+      departureTime: departureTime.toISOString(),
+      arrivalTime,
+      duration,
+      transfers: 0,
+      walkingDistance: distance,
+      legs: [{
+        type: 'walk',
+        from: { name: origin.display_name || 'Départ', lat: origin.lat, lon: origin.lon },
+        to: { name: destination.display_name || 'Arrivée', lat: destination.lat, lon: destination.lon },
+        distance,
+        duration,
+        departureTime: departureTime.toISOString(),
+        arrivalTime,
+        coordinates: [[origin.lat, origin.lon], [destination.lat, destination.lon]]
+      }]
+    };
+  }
+
+  static createContext(index, departureTime, maxTransfers, accessibility = null) {
+    const timeZone = GtfsStore.getTimezone();
+    const serviceDate = TimeService.toServiceDate(departureTime, timeZone);
+    const wheelchair = accessibility === 'wheelchair';
+    return {
+      index,
+      maxTransfers: wheelchair ? Math.min(maxTransfers, config.wheelchairMaxTransfers) : maxTransfers,
+      wheelchair,
+      transferTime: wheelchair ? config.wheelchairTransferTime : MIN_TRANSFER_TIME,
+      timeZone,
+      serviceDate,
+      days: [
+        { date: serviceDate, offset: 0 },
+        { date: TimeService.shiftServiceDate(serviceDate, -1), offset: -86400 }
+      ],
+      services: new Map(),
+      activeTrips: new Map()
+    };
+  }
+
+  static reachableStops({ origin, departureTime = new Date(), maxDuration, maxTransfers = 3 }) {
+    const index = this.getIndex();
+    if (!index) return [];
+
+    const ctx = this.createContext(index, departureTime, maxTransfers);
+    const departure = TimeService.secondsSinceMidnight(departureTime, ctx.timeZone);
+    ctx.access = this.findNearbyStops(origin.lat, origin.lon);
+    ctx.egress = [];
+    ctx.deadline = departure + maxDuration;
+
+    const { best } = this.search(ctx, departure);
+    return [...best].map(([stopId, time]) => {
+      const stop = GtfsStore.getStop(stopId);
+      return { stopId, lat: stop.lat, lon: stop.lon, elapsed: time - departure };
+    });
+  }
+
+  static latestDeparture({ origin, destination, arriveBy, maxTransfers = 3, accessibility = null, window = 4 * 3600 }) {
+    const arrivesInTime = departureTime => this.plan({ origin, destination, departureTime, maxTransfers, accessibility })
+      .some(it => new Date(it.arrivalTime) <= arriveBy);
+
+    let earliest = new Date(arriveBy.getTime() - window * 1000);
+    if (!arrivesInTime(earliest)) return null;
+
+    let latest = arriveBy;
+    while (latest - earliest > 60000) {
+      const middle = new Date((earliest.getTime() + latest.getTime()) / 2);
+      if (arrivesInTime(middle)) earliest = middle;
+      else latest = middle;
+    }
+    return earliest;
+  }
+
+  static plan({ origin, destination, departureTime = new Date(), maxTransfers = 3, count = 3, accessibility = null }) {
+    const index = this.getIndex();
+    if (!index) return [];
+
+    const ctx = this.createContext(index, departureTime, maxTransfers, accessibility);
+    const { timeZone, wheelchair } = ctx;
+    ctx.access = this.findNearbyStops(origin.lat, origin.lon, wheelchair);
+    ctx.egress = this.findNearbyStops(destination.lat, destination.lon, wheelchair);
+
+    const itineraries = [];
+    const seen = new Set();
+
+    const directDistance = RouteService.haversineDistance(origin.lat, origin.lon, destination.lat, destination.lon);
+    if (directDistance <= (wheelchair ? config.wheelchairMaxWalkingDistance : config.maxWalkingDistance)) {
+      itineraries.push(this.buildWalkItinerary(
+        origin, destination, departureTime, wheelchair ? config.wheelchairSpeed : config.walkingSpeed
+      ));
+    }
+
+    if (ctx.access.length && ctx.egress.length) {
+      let departure = TimeService.secondsSinceMidnight(departureTime, timeZone);
+
+      for (let attempt = 0; attempt < count * 2 && seen.size < count; attempt++) {
+        const { results } = this.search(ctx, departure);
+        if (!results.length) break;
+
+        const built = results.map(r => this.buildItinerary(r, ctx, origin, destination));
+        for (const itinerary of built) {
+          const signature = itinerary.legs
+            .filter(l => l.type === 'ride')
+            .map(l => `${l.tripId}:${l.from.stopId}:${l.to.stopId}`)
+            .join('|');
+          if (!seen.has(signature)) {
+            seen.add(signature);
+            itineraries.push(itinerary);
+          }
+        }
+        departure = Math.min(...built.map(i => i.leaveAt)) + 60;
+      }
+    }
+
+    return itineraries
+      .sort((a, b) =>
+        (new Date(a.arrivalTime) - new Date(b.arrivalTime)) / 1000 + (a.transfers - b.transfers) * config.transferPenalty ||
+        a.transfers - b.transfers)
+      .slice(0, count)
+      .map(({ leaveAt, ...itinerary }) => (wheelchair ? AccessibilityService.annotate(itinerary) : itinerary))
+      .map((itinerary, i) => ({ id: `journey_${i + 1}`, ...itinerary, fare: FareService.quoteItinerary(itinerary) }));
+  }
+}
+
+/* ==================== FARES ==================== */
+class FareService {
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  static fromItinerary(legs) {
+    return legs.filter(l => l.type === 'ride').map(l => ({
+      routeId: l.line.id,
+      fromStopId: l.from.stopId,
+      toStopId: l.to.stopId,
+      departureTime: new Date(l.departureTime),
+      arrivalTime: new Date(l.arrivalTime)
+    }));
+  }
+
+  static areasOf(stopId) {
+    const { areasByStop } = GtfsStore.feed.fares;
+    const stop = GtfsStore.getStop(stopId);
+    return [...(areasByStop.get(stopId) || []), ...(stop?.parentStation ? areasByStop.get(stop.parentStation) || [] : [])];
+  }
+
+  static matchField(rules, field, values) {
+    const exact = rules.filter(r => r[field] && values.includes(r[field]));
+    return exact.length ? exact : rules.filter(r => !r[field]);
+  }
+
+  static inTimeframe(groupId, at) {
+    if (!groupId) return true;
+    const timeZone = GtfsStore.getTimezone();
+    const seconds = TimeService.secondsSinceMidnight(at, timeZone);
+    const serviceDate = TimeService.toServiceDate(at, timeZone);
+    return (GtfsStore.feed.fares.timeframes.get(groupId) || []).some(t =>
+      seconds >= t.start && seconds < t.end && GtfsStore.isServiceActive(t.serviceId, serviceDate)
+    );
+  }
+
+  static legRules(leg) {
+    const { legRules, routeNetworks } = GtfsStore.feed.fares;
+    let rules = legRules.filter(r =>
+      this.inTimeframe(r.fromTimeframeGroupId, leg.departureTime) && this.inTimeframe(r.toTimeframeGroupId, leg.arrivalTime)
+    );
+    rules = this.matchField(rules, 'networkId', [routeNetworks.get(leg.routeId)].filter(Boolean));
+    rules = this.matchField(rules, 'fromAreaId', this.areasOf(leg.fromStopId));
+    rules = this.matchField(rules, 'toAreaId', this.areasOf(leg.toStopId));
+    const priority = Math.max(...rules.map(r => r.priority));
+    return rules.filter(r => r.priority === priority);
+  }
+
+  static price(productId, { riderCategory, fareMedia }) {
+    const rows = (GtfsStore.feed.fares.products.get(productId) || []).filter(p =>
+      (!p.riderCategoryId || p.riderCategoryId === riderCategory) && (!fareMedia || !p.mediaId || p.mediaId === fareMedia)
+    );
+    const [row] = rows.sort((a, b) => a.amount - b.amount);
+    return row || null;
+  }
+
+  static candidates(leg, options) {
+    return this.legRules(leg)
+      .map(rule => ({ legGroupId: rule.legGroupId, product: this.price(rule.productId, options) }))
+      .filter(c => c.product);
+  }
+
+  static flatProduct() {
+    return {
+      id: null,
+      name: 'Ticket unitaire',
+      amount: config.costModel.transitFare,
+      currency: config.costModel.currency,
+      mediaId: null,
+      riderCategoryId: null,
+      duration: null,
+      estimated: true
+    };
+  }
+
+  static ticket(kind, product, legs) {
+    return {
+      kind,
+      productId: product.id,
+      name: product.name,
+      amount: product.amount,
+      currency: product.currency,
+      media: product.mediaId ? GtfsStore.feed.fares.media.get(product.mediaId)?.name || product.mediaId : null,
+      legs,
+      ...(product.duration && { validity: product.duration }),
+      ...(product.estimated && { estimated: true })
+    };
+  }
+
+  static withinLimit(rule, first, next) {
+    if (rule.durationLimit === null) return true;
+    const from = rule.durationLimitType <= 1 ? first.departureTime : first.arrivalTime;
+    const to = rule.durationLimitType % 3 === 0 ? next.arrivalTime : next.departureTime;
+    return (to - from) / 1000 <= rule.durationLimit;
+  }
+
+  static chains(legs, choices, start, options) {
+    const { transferRules } = GtfsStore.feed.fares;
+    const found = [];
+
+    const extend = (chain, index) => {
+      const next = index + 1;
+      if (next >= legs.length) return;
+      for (const choice of choices[next]) {
+        const rules = transferRules.filter(r =>
+          (!r.fromLegGroupId || r.fromLegGroupId === chain.legGroupId) &&
+          (!r.toLegGroupId || r.toLegGroupId === choice.legGroupId) &&
+          (r.transferCount === -1 || chain.transfers < r.transferCount) &&
+          this.withinLimit(r, legs[start], legs[next])
+        );
+        for (const rule of rules) {
+          const transferProduct = rule.productId ? this.price(rule.productId, options) : null;
+          if (rule.productId && !transferProduct) continue;
+          const transferAmount = transferProduct?.amount || 0;
+          let tickets = chain.tickets.map(t => ({ ...t, legs: [...t.legs] }));
+          let cost = chain.cost;
+
+          if (rule.type === 2 && !chain.transfers && transferProduct) {
+            tickets = [this.ticket('transfer', transferProduct, [...tickets[0].legs, next])];
+            cost = transferAmount;
+          } else {
+            if (rule.type !== 1) tickets[0].legs.push(next);
+            if (transferProduct) tickets.push(this.ticket('transfer', transferProduct, [next]));
+            cost += transferAmount;
+            if (rule.type === 1) {
+              tickets.push(this.ticket('leg', choice.product, [next]));
+              cost += choice.product.amount;
+            }
+          }
+
+          const extended = { legGroupId: choice.legGroupId, transfers: chain.transfers + 1, cost, tickets };
+          found.push({ end: next, cost, tickets });
+          extend(extended, next);
+        }
+      }
+    };
+
+    for (const choice of choices[start]) {
+      const tickets = [this.ticket('leg', choice.product, [start])];
+      found.push({ end: start, cost: choice.product.amount, tickets });
+      extend({ legGroupId: choice.legGroupId, transfers: 0, cost: choice.product.amount, tickets }, start);
+    }
+    return found;
+  }
+
+  static passes(legs, choices, start) {
+    const found = [];
+    const passes = new Map();
+    for (const choice of choices[start]) {
+      if (choice.product.duration) passes.set(choice.product.id, choice.product);
+    }
+    for (const pass of passes.values()) {
+      for (let end = start; end < legs.length; end++) {
+        if (!choices[end].some(c => c.product.id === pass.id)) break;
+        if ((legs[end].arrivalTime - legs[start].departureTime) / 1000 > pass.duration) break;
+        found.push({
+          end,
+          cost: pass.amount,
+          tickets: [this.ticket('pass', pass, Array.from({ length: end - start + 1 }, (_, i) => start + i))]
+        });
+      }
+    }
+    return found;
+  }
+
+  static quote(legs, { riderCategory = null, fareMedia = null } = {}) {
+    const fares = GtfsStore.feed?.fares;
+    const category = riderCategory || fares?.riderCategories.find(c => c.isDefault)?.id || null;
+    const options = { riderCategory: category, fareMedia };
+    const source = fares?.products.size ? 'gtfs' : 'flat';
+    const choices = legs.map(leg => {
+      const found = source === 'gtfs' ? this.candidates(leg, options) : [];
+      return found.length ? found : [{ legGroupId: null, product: this.flatProduct() }];
+    });
+
+    const best = [{ cost: 0, tickets: [] }];
+    for (let start = 0; start < legs.length; start++) {
+      const purchases = [...this.chains(legs, choices, start, options), ...this.passes(legs, choices, start)];
+      for (const purchase of purchases) {
+        const cost = best[start].cost + purchase.cost;
+        if (!best[purchase.end + 1] || cost < best[purchase.end + 1].cost) {
+          best[purchase.end + 1] = { cost, tickets: [...best[start].tickets, ...purchase.tickets] };
+        }
+      }
+    }
+
+    const { cost, tickets } = best[legs.length];
+    return {
+      total: this.round(cost),
+      currency: tickets[0]?.currency || config.costModel.currency,
+      riderCategory: category,
+      source,
+      estimated: tickets.some(t => t.estimated),
+      tickets
+    };
+  }
+
+  static quoteItinerary(itinerary, options) {
+    return this.quote(this.fromItinerary(itinerary.legs), options);
+  }
+}
+
+/* ==================== ISOCHRONES ==================== */
+const ISOCHRONE_MODES = ['walking', 'driving', 'transit'];
+const ISOCHRONE_BEARINGS = 64;
+const ISOCHRONE_STEPS = 60;
+const ISOCHRONE_TRAFFIC_SECTORS = 8;
+const DETOUR_FACTOR = 1.3;
+
+class IsochroneService {
+  static async compute({ origin, mode, minutes, departureTime = new Date() }) {
+    const bucket = mode === 'walking' ? 'now' : Math.floor(departureTime.getTime() / 300000);
+    const cacheKey = `isochrone:${mode}:${origin.lat.toFixed(4)}:${origin.lon.toFixed(4)}:${minutes.join(',')}:${bucket}`;
+    const cached = await CacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const budgets = minutes.map(m => m * 60);
+    const network = mode === 'transit' ? null : await this.networkReach(origin, mode, budgets, departureTime);
+    let reach = null;
+    if (mode === 'transit') reach = this.transitReach(origin, departureTime, budgets);
+    else if (!network) reach = await this.roadReach(origin, mode, budgets, departureTime);
+
+    const geometries = network
+      ? network.geometries
+      : budgets.map((_, i) => this.polygon(origin, reach.distances.map(perBudget => perBudget[i])));
+
+    const result = {
+      type: 'FeatureCollection',
+      mode,
+      provider: network ? network.provider : mode === 'transit' ? 'gtfs' : 'fallback',
+      approximate: !network && mode !== 'transit',
+      origin: { lat: origin.lat, lon: origin.lon, display_name: origin.display_name },
+      departureTime: departureTime.toISOString(),
+      features: minutes.map((m, i) => ({
+        type: 'Feature',
+        properties: {
+          minutes: m,
+          mode,
+          area: Math.round(this.area(geometries[i]) / 10000) / 100,
+          ...(reach?.stops && { reachableStops: reach.stops.filter(s => s.elapsed <= budgets[i]).length })
+        },
+        geometry: geometries[i]
+      })).reverse()
+    };
+
+    await CacheService.set(cacheKey, result, config.routeCacheTTL);
+    return result;
+  }
+
+  static async trafficAt(lat, lon, departureTime) {
+    return TomTomTrafficService.isBeyondRealtime(departureTime)
+      ? TomTomTrafficService.profileTraffic(lat, lon, departureTime)
+      : TomTomTrafficService.getRealTimeTraffic(lat, lon);
+  }
+
+  static async networkReach(origin, mode, budgets, departureTime) {
+    let factor = 1;
+    if (mode === 'driving') {
+      const here = await this.trafficAt(origin.lat, origin.lon, departureTime);
+      factor = Math.min(1, Math.max(0.2, here.currentSpeed / here.freeFlowSpeed));
+    }
+    const ranges = budgets.map(budget => Math.max(60, Math.round(budget * factor / 60) * 60));
+    return RoutingService.getIsochrones(origin.lat, origin.lon, mode, ranges);
+  }
+
+  static async roadReach(origin, mode, budgets, departureTime) {
+    const maxBudget = budgets[budgets.length - 1];
+    let speeds = new Array(ISOCHRONE_TRAFFIC_SECTORS).fill(config.walkingSpeed);
+
+    if (mode === 'driving') {
+      const trafficAt = (lat, lon) => this.trafficAt(lat, lon, departureTime);
+      const here = await trafficAt(origin.lat, origin.lon);
+      const originSpeed = here.currentSpeed / 3.6;
+      const sampleRadius = originSpeed * maxBudget / DETOUR_FACTOR / 2;
+      const sectors = Array.from({ length: ISOCHRONE_TRAFFIC_SECTORS }, (_, i) =>
+        RouteService.destinationPoint(origin.lat, origin.lon, i * 360 / ISOCHRONE_TRAFFIC_SECTORS, sampleRadius)
+      );
+      const traffic = await mapWithConcurrency(sectors, config.trafficConcurrency, p => trafficAt(p.lat, p.lon));
+      speeds = traffic.map(t => 2 / (1 / originSpeed + 3.6 / t.currentSpeed));
+    }
+
+    const distances = Array.from({ length: ISOCHRONE_BEARINGS }, (_, b) => {
+      const position = b * ISOCHRONE_TRAFFIC_SECTORS / ISOCHRONE_BEARINGS;
+      const lower = Math.floor(position);
+      const weight = position - lower;
+      const speed = speeds[lower] * (1 - weight) + speeds[(lower + 1) % speeds.length] * weight;
+      return budgets.map(budget => speed * budget / DETOUR_FACTOR);
+    });
+
+    return { distances };
+  }
+
+  static transitReach(origin, departureTime, budgets) {
+    const maxBudget = budgets[budgets.length - 1];
+    const walk = distance => distance * DETOUR_FACTOR / config.walkingSpeed;
+    const stops = JourneyPlanner.reachableStops({ origin, departureTime, maxDuration: maxBudget });
+
+    const maxRadius = Math.max(
+      maxBudget * config.walkingSpeed / DETOUR_FACTOR,
+      ...stops.map(s =>
+        RouteService.haversineDistance(origin.lat, origin.lon, s.lat, s.lon) +
+        (maxBudget - s.elapsed) * config.walkingSpeed / DETOUR_FACTOR
+      )
+    );
+    const step = maxRadius / ISOCHRONE_STEPS;
+
+    const distances = Array.from({ length: ISOCHRONE_BEARINGS }, (_, b) => {
+      const reached = budgets.map(() => 0);
+      for (let i = 1; i <= ISOCHRONE_STEPS; i++) {
+        const point = RouteService.destinationPoint(origin.lat, origin.lon, b * 360 / ISOCHRONE_BEARINGS, i * step);
+        let time = walk(i * step);
+        for (const stop of stops) {
+          if (stop.elapsed >= time) continue;
+          time = Math.min(time, stop.elapsed + walk(RouteService.haversineDistance(stop.lat, stop.lon, point.lat, point.lon)));
+        }
+        budgets.forEach((budget, k) => {
+          if (time <= budget) reached[k] = i * step;
+        });
+      }
+      return reached.map((distance, k) => distance || Math.min(step, budgets[k] * config.walkingSpeed / DETOUR_FACTOR));
+    });
+
+    return { distances, stops };
+  }
+
+  static polygon(origin, distances) {
+    const ring = distances.map((distance, b) =>
+      RouteService.destinationPoint(origin.lat, origin.lon, b * 360 / ISOCHRONE_BEARINGS, distance)
+    );
+    return {
+      type: 'Polygon',
+      coordinates: [[...ring, ring[0]].map(p => [+p.lon.toFixed(6), +p.lat.toFixed(6)])]
+    };
+  }
+
+  static area(geometry) {
+    const R = 6371000;
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.reduce((total, [ring]) => {
+      const lat0 = ring[0][1] * Math.PI / 180;
+      const points = ring.map(([lon, lat]) => [
+        lon * Math.PI / 180 * R * Math.cos(lat0),
+        lat * Math.PI / 180 * R
+      ]);
+      let sum = 0;
+      points.forEach(([x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        sum += x1 * y2 - x2 * y1;
+      });
+      return total + Math.abs(sum) / 2;
+    }, 0);
+  }
+}
+
+/* ==================== EMISSIONS & COSTS ==================== */
+class FootprintService {
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  static road(mode, distance) {
+    const model = config.costModel;
+    const km = distance / 1000;
+    const fuel = mode === 'driving' ? km * model.fuelConsumption / 100 * model.fuelPrice : 0;
+    const vehicle = mode === 'driving' ? km * model.vehicleCostPerKm : 0;
+    const parking = mode === 'driving' ? model.parkingCost : 0;
+
+    return {
+      emissions: Math.round(km * (model.emissions[mode] ?? 0)),
+      cost: this.round(fuel + vehicle + parking),
+      currency: model.currency,
+      breakdown: { fuel: this.round(fuel), vehicle: this.round(vehicle), parking, fares: 0 }
+    };
+  }
+
+  static transit(legs, fare = FareService.quote(FareService.fromItinerary(legs))) {
+    const model = config.costModel;
+    const emissions = legs.filter(l => l.type === 'ride').reduce((sum, l) =>
+      sum + RouteService.polylineLength(l.coordinates) / 1000 * (model.emissions[l.mode] ?? model.emissions.other), 0);
+
+    return {
+      emissions: Math.round(emissions),
+      cost: fare.total,
+      currency: fare.currency,
+      breakdown: { fuel: 0, vehicle: 0, parking: 0, fares: fare.total }
+    };
+  }
+
+  static forAlternative(alt, reference, profile = 'driving') {
+    const footprint = alt.type === 'ROAD' ? this.road(profile, alt.totalDistance) : this.transit(alt.legs, alt.fare);
+    return {
+      ...footprint,
+      emissionsAvoided: Math.max(0, reference.emissions - footprint.emissions)
+    };
+  }
+}
+
+/* ==================== SCORING SERVICE ==================== */
+const SCORING_CRITERIA = ['duration', 'transfers', 'walking', 'congestion', 'density'];
+
+const HIGH_DENSITY_ZONES = [
+  { lat: 33.5731, lon: -7.5898, radius: 0.02, name: 'Centre-ville' },
+  { lat: 33.5892, lon: -7.6039, radius: 0.015, name: 'Maarif' },
+  { lat: 33.6016, lon: -7.6322, radius: 0.012, name: 'Ain Diab' }
+];
+
+class ScoringService {
+  static resolveWeights(overrides = {}) {
+    const weights = { ...config.scoringWeights };
+
+    for (const [criterion, value] of Object.entries(overrides)) {
+      if (!SCORING_CRITERIA.includes(criterion)) {
+        throw new ApiError(400, 'INVALID_WEIGHTS', `Critère de score inconnu: ${criterion}`);
+      }
+      const weight = Number(value);
+      if (!Number.isFinite(weight) || weight < 0) {
+        throw new ApiError(400, 'INVALID_WEIGHTS', `Poids invalide pour le critère ${criterion}`);
+      }
+      weights[criterion] = weight;
+    }
+
+    const total = SCORING_CRITERIA.reduce((sum, c) => sum + weights[c], 0);
+    if (total <= 0) {
+      throw new ApiError(400, 'INVALID_WEIGHTS', 'La somme des poids doit être positive');
+    }
+
+    return Object.fromEntries(
+      SCORING_CRITERIA.map(c => [c, Math.round(weights[c] / total * 1000) / 1000])
+    );
+  }
 
+  static calculateUrbanDensity(lat, lon) {
+    let density = 30;
+    for (const zone of HIGH_DENSITY_ZONES) {
+      const distance = Math.sqrt(Math.pow(lat - zone.lat, 2) + Math.pow(lon - zone.lon, 2));
+      if (distance < zone.radius) {
+        density += (1 - distance / zone.radius) * 70;
+      }
+    }
+    return Math.min(100, Math.round(density));
+  }
+
+  static criterionScores({ duration, transfers, walkingDistance, congestion, density }) {
+    const clamp = value => Math.max(0, Math.min(100, value));
     return {
-      segments: trafficData,
-      averageCongestion: Math.round(avgCongestion),
-      maxCongestion: Math.max(...trafficData.map(t => t.congestionLevel))
+      duration: clamp(100 - duration * 100 / 120),
+      transfers: clamp(100 - transfers * 20),
+      walking: clamp(100 - walkingDistance / 20),
+      congestion: clamp(100 - congestion),
+      density: clamp(100 - density)
+    };
+  }
+
+  static score(metrics, weights) {
+    const scores = this.criterionScores(metrics);
+    const total = SCORING_CRITERIA.reduce((sum, c) => sum + scores[c] * weights[c], 0);
+
+    return {
+      total: Math.round(total * 10) / 10,
+      breakdown: Object.fromEntries(SCORING_CRITERIA.map(c => [c, Math.round(scores[c] * 10) / 10]))
     };
   }
 }
 
-/* ==================== ROUTE CALCULATION ==================== */
-class RouteService {
-  static haversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+/* ==================== ROUTE RANKING ==================== */
+class RouteRankingService {
+  static trafficLevel(congestion) {
+    if (congestion > 60) return 'Dense';
+    if (congestion > 40) return 'Modéré';
+    return 'Fluide';
   }
 
-  static generateIntermediatePoints(lat1, lon1, lat2, lon2, numPoints = 10) {
-    const points = [[lat1, lon1]];
-    
-    for (let i = 1; i < numPoints; i++) {
-      const ratio = i / numPoints;
-      const lat = lat1 + (lat2 - lat1) * ratio;
-      const lon = lon1 + (lon2 - lon1) * ratio;
-      
-      const variation = 0.001;
-      const latVar = lat + (Math.random() - 0.5) * variation;
-      const lonVar = lon + (Math.random() - 0.5) * variation;
-      
-      points.push([latVar, lonVar]);
-    }
-    
-    points.push([lat2, lon2]);
-    return points;
+  static trafficAlerts(congestion) {
+    if (congestion <= 60) return [];
+    return [
+      { type: 'alert', text: 'Trafic dense sur le trajet' },
+      { type: 'info', text: `+${Math.round(congestion / 10)} min de retard estimé` }
+    ];
   }
 
-  static generateFallbackRoute(oLat, oLon, dLat, dLon) {
-    const distance = this.haversineDistance(oLat, oLon, dLat, dLon);
-    const avgSpeed = 8.33;
-    const duration = distance / avgSpeed;
-    const coordinates = this.generateIntermediatePoints(oLat, oLon, dLat, dLon, 15);
-    
+  static forecastAlerts(traffic) {
+    const worst = (traffic.forecast || [])
+      .filter(f => f.horizon <= 30 && f.averageCongestion - traffic.averageCongestion >= 15)
+      .sort((a, b) => b.averageCongestion - a.averageCongestion)[0];
+    if (!worst) return [];
+    return [{
+      type: worst.averageCongestion > 60 ? 'alert' : 'info',
+      text: `Le trafic devrait se dégrader d'ici ${worst.horizon} min (congestion prévue ${worst.averageCongestion}%)`
+    }];
+  }
+
+  static accessibilityAlerts(accessibility) {
+    if (!accessibility || accessibility.status === 'accessible') return [];
+    return [{
+      type: 'info',
+      text: `Accessibilité non confirmée sur ${accessibility.unknownLegs.length} étape${accessibility.unknownLegs.length > 1 ? 's' : ''}`
+    }];
+  }
+
+  static rerouteAlerts(reroute) {
+    if (!reroute?.reason) return [];
+    return [reroute.avoided
+      ? { type: 'info', text: reroute.reason }
+      : { type: 'alert', text: 'Impossible de contourner la fermeture de route signalée' }];
+  }
+
+  static incidentAlerts(incidents) {
+    return incidents.map(incident => {
+      const label = INCIDENT_LABELS[incident.type];
+      const detail = incident.description && incident.description.toLowerCase() !== label.toLowerCase()
+        ? `: ${incident.description}`
+        : '';
+      return {
+        type: ['HIGH', 'CRITICAL'].includes(incident.severity) ? 'alert' : 'info',
+        text: `${label}${detail}${incident.from ? ` (${incident.from})` : ''}`,
+        incidentId: incident.id
+      };
+    });
+  }
+
+  static anomalyAlerts(anomalies) {
+    return anomalies.map(a => ({
+      type: ['HIGH', 'CRITICAL'].includes(a.severity) ? 'alert' : 'info',
+      text: a.message,
+      anomalyId: a.id
+    }));
+  }
+
+  static fromItinerary(itinerary, traffic) {
+    const rides = itinerary.legs.filter(l => l.type === 'ride');
+    const rideTime = rides.reduce((sum, l) => sum + l.duration, 0);
+    const roadTime = rides.filter(l => l.mode === 'bus').reduce((sum, l) => sum + l.duration, 0);
+    const congestion = rideTime ? Math.round(traffic.averageCongestion * roadTime / rideTime) : 0;
+
+    let type = 'WALK';
+    if (rides.length === 1) type = 'TRANSIT_DIRECT';
+    if (rides.length > 1) type = 'TRANSIT_TRANSFER';
+
     return {
-      coordinates,
-      distance,
+      type,
+      name: rides.length ? rides.map(l => l.line.shortName || l.line.id).join(' → ') : 'À pied',
+      departureTime: itinerary.departureTime,
+      arrivalTime: itinerary.arrivalTime,
+      duration: Math.round(itinerary.duration / 60),
+      transfers: itinerary.transfers,
+      walkingDistance: itinerary.walkingDistance,
+      lines: rides.map(l => l.line),
+      legs: itinerary.legs,
+      fare: itinerary.fare,
+      accessibility: itinerary.accessibility,
+      coordinates: itinerary.legs.flatMap(l => l.coordinates),
+      congestion,
+      alerts: [...this.accessibilityAlerts(itinerary.accessibility), ...this.trafficAlerts(congestion)]
+    };
+  }
+
+  static fromRoadRoute(route, traffic) {
+    const legs = route.legs.map((leg, i) => ({
+      type: 'drive',
+      from: { name: leg.from.display_name || (i ? `Étape ${i}` : 'Départ'), lat: leg.from.lat, lon: leg.from.lon },
+      to: {
+        name: leg.to.display_name || (i < route.legs.length - 1 ? `Étape ${i + 1}` : 'Arrivée'),
+        lat: leg.to.lat,
+        lon: leg.to.lon
+      },
+      distance: leg.distance,
+      duration: traffic.legs[i].duration,
+      departureTime: traffic.legs[i].departAt.toISOString(),
+      arrivalTime: new Date(traffic.legs[i].departAt.getTime() + traffic.legs[i].duration * 1000).toISOString(),
+      coordinates: leg.coordinates
+    }));
+    const duration = Math.round(legs.reduce((sum, l) => sum + l.duration, 0) / 60);
+
+    return {
+      type: 'ROAD',
+      name: route.legs.length > 1 ? `Itinéraire routier (${route.legs.length - 1} étape${route.legs.length > 2 ? 's' : ''})` : 'Itinéraire routier',
+      provider: route.provider,
       duration,
-      fallback: true
+      transfers: 0,
+      walkingDistance: 0,
+      lines: [],
+      legs,
+      departureTime: legs[0].departureTime,
+      arrivalTime: legs[legs.length - 1].arrivalTime,
+      coordinates: route.coordinates,
+      totalDistance: Math.round(route.distance),
+      accessibility: route.accessibility,
+      congestion: traffic.averageCongestion,
+      rerouted: Boolean(route.rerouted),
+      alerts: [
+        ...this.rerouteAlerts(route.reroute),
+        ...this.accessibilityAlerts(route.accessibility),
+        ...(traffic.arrivesInTime === false ? [{ type: 'alert', text: "Arrivée prévue après l'heure demandée" }] : []),
+        ...this.trafficAlerts(traffic.averageCongestion)
+      ]
     };
   }
+
+  static distinctItineraries(itineraries) {
+    const seen = new Set();
+    return itineraries.filter(it => {
+      const lines = it.legs.filter(l => l.type === 'ride').map(l => l.line.id).join('|');
+      if (seen.has(lines)) return false;
+      seen.add(lines);
+      return true;
+    });
+  }
+
+  static rank({ origin, destination, roadRoute, profile = 'driving', traffic, itineraries, weights, incidents = [] }) {
+    const density = Math.round(
+      (ScoringService.calculateUrbanDensity(origin.lat, origin.lon) +
+        ScoringService.calculateUrbanDensity(destination.lat, destination.lon)) / 2
+    );
+    const speeds = traffic.segments.map(s => s.currentSpeed).filter(Boolean);
+    const trafficSpeed = speeds.length ? Math.round(speeds.reduce((a, b) => a + b, 0) / speeds.length) : null;
+
+    const alternatives = [
+      ...this.distinctItineraries(itineraries).slice(0, config.maxAlternatives).map(it => this.fromItinerary(it, traffic)),
+      this.fromRoadRoute(roadRoute, traffic)
+    ];
+    const roadFootprint = FootprintService.road(profile, roadRoute.distance);
+
+    return alternatives
+      .map(alt => {
+        const roadCoordinates = alt.type === 'ROAD' ? alt.coordinates : alt.legs.filter(l => l.mode === 'bus').flatMap(l => l.coordinates);
+        const anomalies = AnomalyService.forRoute({
+          lineIds: alt.lines.map(l => l.id),
+          coordinates: roadCoordinates
+        });
+        const routeIncidents = IncidentService.forRoute(incidents, roadCoordinates);
+        return {
+          ...alt,
+          density,
+          trafficLevel: this.trafficLevel(alt.congestion),
+          trafficSpeed,
+          trafficEstimated: traffic.estimated,
+          trafficForecast: alt.congestion > 0 ? traffic.forecast : null,
+          anomalies,
+          incidents: routeIncidents,
+          footprint: FootprintService.forAlternative(alt, roadFootprint, profile),
+          alerts: [...this.incidentAlerts(routeIncidents), ...this.anomalyAlerts(anomalies), ...alt.alerts, ...(alt.congestion > 0 ? this.forecastAlerts(traffic) : [])],
+          score: ScoringService.score({ ...alt, density }, weights)
+        };
+      })
+      .sort((a, b) => b.score.total - a.score.total)
+      .map((alt, i) => ({ id: `route_${i + 1}`, rank: i + 1, ...alt }));
+  }
 }
 
-/* ==================== TRANSPORT PUBLIC SERVICE ==================== */
-class PublicTransportService {
-  static getTransportLines() {
+/* ==================== MODE COMPARISON ==================== */
+const COMPARISON_MODES = ['driving', 'cycling', 'walking', 'transit'];
+
+class ModeComparisonService {
+  static async road(mode, origin, destination, departureTime, profile = mode, arriveBy = null) {
+    const route = await RoutingService.getTripRoute([origin, destination], profile);
+    let duration = route.duration;
+    let congestion = null;
+    let arrivesInTime = true;
+    if (mode === 'driving') {
+      const traffic = arriveBy
+        ? await TomTomTrafficService.getTripTrafficArrivingBy(route.legs, arriveBy)
+        : await TomTomTrafficService.getTripTraffic(route.legs, departureTime);
+      duration = traffic.legs[0].duration;
+      congestion = traffic.averageCongestion;
+      departureTime = traffic.departAt;
+      arrivesInTime = traffic.arrivesInTime ?? true;
+    } else if (arriveBy) {
+      departureTime = new Date(arriveBy.getTime() - duration * 1000);
+    }
+    const footprint = FootprintService.road(mode, route.distance);
+
     return {
-      tramway: [
-        { id: 'T1', name: 'Tramway Ligne 1', color: '#0066cc', stations: 48 },
-        { id: 'T2', name: 'Tramway Ligne 2', color: '#00cc66', stations: 28 }
-      ],
-      bus: [
-        { id: 'M1', name: 'Bus M1', type: 'express', color: '#cc0000' },
-        { id: 'M3', name: 'Bus M3', type: 'express', color: '#cc0000' },
-        { id: 'M5', name: 'Bus M5', type: 'express', color: '#cc0000' },
-        { id: 'L10', name: 'Bus L10', type: 'local', color: '#0099cc' },
-        { id: 'L20', name: 'Bus L20', type: 'local', color: '#0099cc' },
-        { id: 'L32', name: 'Bus L32', type: 'local', color: '#0099cc' }
-      ]
+      mode,
+      available: true,
+      provider: route.provider,
+      fallback: route.fallback,
+      duration: Math.round(duration / 60),
+      distance: Math.round(route.distance),
+      cost: footprint.cost,
+      emissions: footprint.emissions,
+      costBreakdown: footprint.breakdown,
+      congestion,
+      accessibility: route.accessibility,
+      ...(arriveBy && { arrivesInTime }),
+      departureTime: departureTime.toISOString(),
+      arrivalTime: new Date(departureTime.getTime() + duration * 1000).toISOString(),
+      coordinates: route.coordinates
+    };
+  }
+
+  static async transit(origin, destination, departureTime, accessibility = null, arriveBy = null) {
+    if (!GtfsStore.isLoaded()) {
+      return { mode: 'transit', available: false, reason: 'Aucun flux GTFS chargé' };
+    }
+    if (arriveBy) {
+      departureTime = JourneyPlanner.latestDeparture({ origin, destination, arriveBy, accessibility });
+    }
+    const planned = departureTime
+      ? JourneyPlanner.plan({ origin, destination, departureTime, accessibility, count: config.maxAlternatives })
+      : [];
+    const itinerary = (await AccessibilityService.routeItineraries(planned, accessibility))
+      .find(it => it.legs.some(l => l.type === 'ride') && (!arriveBy || new Date(it.arrivalTime) <= arriveBy));
+    if (!itinerary) {
+      return { mode: 'transit', available: false, reason: 'Aucun itinéraire en transport public trouvé' };
+    }
+
+    const rides = itinerary.legs.filter(l => l.type === 'ride');
+    const rideDistances = rides.map(l => RouteService.polylineLength(l.coordinates));
+    const footprint = FootprintService.transit(itinerary.legs, itinerary.fare);
+
+    return {
+      mode: 'transit',
+      available: true,
+      name: rides.map(l => l.line.shortName || l.line.id).join(' → '),
+      duration: Math.round(itinerary.duration / 60),
+      distance: Math.round(itinerary.walkingDistance + rideDistances.reduce((sum, d) => sum + d, 0)),
+      cost: footprint.cost,
+      emissions: footprint.emissions,
+      costBreakdown: footprint.breakdown,
+      fare: itinerary.fare,
+      accessibility: itinerary.accessibility,
+      waitingTime: Math.max(0, Math.round((new Date(itinerary.departureTime) - departureTime) / 60000)),
+      transfers: itinerary.transfers,
+      walkingDistance: itinerary.walkingDistance,
+      lines: rides.map(l => l.line),
+      departureTime: itinerary.departureTime,
+      arrivalTime: itinerary.arrivalTime,
+      coordinates: itinerary.legs.flatMap(l => l.coordinates)
+    };
+  }
+
+  static best(results, key) {
+    const [first] = results.filter(r => r.available).sort((a, b) => a[key] - b[key] || a.duration - b.duration);
+    return first ? first.mode : null;
+  }
+
+  static async compare({ origin, destination, departureTime, arriveBy = null, modes = COMPARISON_MODES, accessibility = null }) {
+    const results = await Promise.all(modes.map(mode => (mode === 'transit'
+      ? this.transit(origin, destination, departureTime, accessibility, arriveBy)
+      : this.road(mode, origin, destination, departureTime, mode === 'walking' && accessibility ? accessibility : mode, arriveBy))));
+    const driving = results.find(r => r.mode === 'driving' && r.available);
+    const transit = results.find(r => r.mode === 'transit' && r.available);
+
+    return {
+      currency: config.costModel.currency,
+      modes: results,
+      fastest: this.best(results, 'duration'),
+      cheapest: this.best(results, 'cost'),
+      lowestEmissions: this.best(results, 'emissions'),
+      transitVsDriving: driving && transit ? {
+        transitFaster: transit.duration < driving.duration,
+        arrivesEarlier: new Date(transit.arrivalTime) < new Date(driving.arrivalTime),
+        timeSaved: driving.duration - transit.duration,
+        costSaved: Math.round((driving.cost - transit.cost) * 100) / 100,
+        emissionsSaved: driving.emissions - transit.emissions
+      } : null
     };
   }
 }
 
 /* ==================== ROUTES ==================== */
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+const address = Joi.string().trim().min(2).max(200);
+
+const locationSchema = Joi.object({
+  lat: latitude,
+  lon: longitude,
+  display_name: Joi.string().max(300),
+  address
+}).and('lat', 'lon').or('address', 'lat');
+
+const localTimestamp = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/)
+  .custom((value, helpers) => (Number.isNaN(TimeService.parseLocal(value).getTime()) ? helpers.error('any.invalid') : value));
+
+const geohashBucket = Joi.string().pattern(/^[0-9b-hjkmnp-z]{1,12}$/);
+
+const coordinatesQuery = Joi.object({
+  lat: latitude.required(),
+  lon: longitude.required()
+});
+
+const SCHEMAS = {
+  geocode: { query: Joi.object({ address: address.required() }) },
+  reverseGeocode: { query: coordinatesQuery },
+  suggest: {
+    query: Joi.object({
+      q: Joi.string().trim().allow('').max(200).default(''),
+      limit: Joi.number().integer().min(1).max(20).default(8)
+    })
+  },
+  traffic: { query: coordinatesQuery },
+  trafficCache: { query: Joi.object({ limit: Joi.number().integer().min(1).max(500).default(20) }) },
+  trafficHistory: {
+    query: Joi.object({
+      lat: latitude,
+      lon: longitude,
+      bucket: geohashBucket,
+      from: Joi.date().iso(),
+      to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+      limit: Joi.number().integer().min(1).max(5000).default(500)
+    }).and('lat', 'lon').xor('bucket', 'lat')
+      .custom((value, helpers) => (value.from && value.to && value.to - value.from > HISTORY_MAX_SPAN_DAYS * 86400000
+        ? helpers.error('date.span')
+        : value))
+      .messages({ 'date.span': `La période demandée ne doit pas dépasser ${HISTORY_MAX_SPAN_DAYS} jours` })
+  },
+  incidents: {
+    query: Joi.object({
+      bbox: Joi.string().required().custom((value, helpers) => {
+        const bbox = value.split(',').map(Number);
+        const [minLon, minLat, maxLon, maxLat] = bbox;
+        if (bbox.length !== 4 || bbox.some(Number.isNaN)) return helpers.error('any.invalid');
+        if (minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90 || minLon >= maxLon || minLat >= maxLat) {
+          return helpers.error('any.invalid');
+        }
+        const area = RouteService.haversineDistance(minLat, minLon, minLat, maxLon) *
+          RouteService.haversineDistance(minLat, minLon, maxLat, minLon) / 1e6;
+        return area > 10000 ? helpers.error('any.invalid') : bbox;
+      }),
+      type: Joi.string().valid(...new Set(Object.values(INCIDENT_CATEGORIES)), 'OTHER'),
+      severity: Joi.string().valid(...SEVERITY_LEVELS)
+    })
+  },
+  trafficForecast: {
+    query: Joi.object({ lat: latitude, lon: longitude, bucket: geohashBucket }).and('lat', 'lon').xor('bucket', 'lat')
+  },
+  trafficProfile: {
+    query: Joi.object({ lat: latitude, lon: longitude, bucket: geohashBucket }).and('lat', 'lon').xor('bucket', 'lat')
+  },
+  optimize: {
+    body: Joi.object({
+      origin: locationSchema.required(),
+      destination: locationSchema.required(),
+      departureTime: Joi.date().iso(),
+      departAt: localTimestamp,
+      arriveBy: localTimestamp,
+      timezone,
+      profile: Joi.string().valid(...ROUTING_PROFILES).default('driving'),
+      via: Joi.array().items(locationSchema).max(10).default([]),
+      optimizeOrder: Joi.boolean().default(false),
+      accessibility: Joi.string().valid(...ACCESSIBILITY_PROFILES),
+      weights: Joi.object().pattern(Joi.string().valid(...SCORING_CRITERIA), Joi.number().min(0))
+    }).oxor('departureTime', 'departAt', 'arriveBy')
+  },
+  compare: {
+    body: Joi.object({
+      origin: locationSchema.required(),
+      destination: locationSchema.required(),
+      departureTime: Joi.date().iso(),
+      departAt: localTimestamp,
+      arriveBy: localTimestamp,
+      timezone,
+      modes: Joi.array().items(Joi.string().valid(...COMPARISON_MODES)).unique().min(1).default(COMPARISON_MODES),
+      accessibility: Joi.string().valid(...ACCESSIBILITY_PROFILES)
+    }).oxor('departureTime', 'departAt', 'arriveBy')
+  },
+  fareQuote: {
+    body: Joi.object({
+      legs: Joi.array().items(Joi.object({
+        routeId: Joi.string().max(200).required(),
+        fromStopId: Joi.string().max(200).required(),
+        toStopId: Joi.string().max(200).required(),
+        departureTime: Joi.date().iso().required(),
+        arrivalTime: Joi.date().iso().min(Joi.ref('departureTime')).required()
+      })).min(1).max(10),
+      itinerary: Joi.object({
+        legs: Joi.array().items(Joi.object({
+          type: Joi.string().required(),
+          line: Joi.object({ id: Joi.string().max(200).required() }).unknown().when('type', { is: 'ride', then: Joi.required() }),
+          from: Joi.object({ stopId: Joi.string().max(200) }).unknown().when('type', {
+            is: 'ride',
+            then: Joi.object({ stopId: Joi.required() }).required()
+          }),
+          to: Joi.object({ stopId: Joi.string().max(200) }).unknown().when('type', {
+            is: 'ride',
+            then: Joi.object({ stopId: Joi.required() }).required()
+          }),
+          departureTime: Joi.date().iso().when('type', { is: 'ride', then: Joi.required() }),
+          arrivalTime: Joi.date().iso().when('type', { is: 'ride', then: Joi.required() })
+        }).unknown()).min(1).max(20).required()
+      }).unknown(),
+      riderCategory: Joi.string().max(200),
+      fareMedia: Joi.string().max(200)
+    }).xor('legs', 'itinerary')
+  },
+  journeys: {
+    body: Joi.object({
+      origin: locationSchema.required(),
+      destination: locationSchema.required(),
+      departureTime: Joi.date().iso(),
+      maxTransfers: Joi.number().integer().min(0).max(5),
+      count: Joi.number().integer().min(1).max(10),
+      accessibility: Joi.string().valid(...ACCESSIBILITY_PROFILES)
+    })
+  },
+  stops: {
+    query: Joi.object({
+      lat: latitude,
+      lon: longitude,
+      radius: Joi.number().min(1).max(5000),
+      q: Joi.string().trim().max(100),
+      limit: Joi.number().integer().min(1).max(500)
+    }).and('lat', 'lon')
+  },
+  id: { params: Joi.object({ id: Joi.string().max(200).required() }) },
+  tripId: { params: Joi.object({ tripId: Joi.string().max(200).required() }) },
+  anomalies: {
+    query: Joi.object({
+      type: Joi.string().valid('DELAY', 'CANCELLATION', 'DIVERSION', 'INCIDENT', 'STRIKE', 'CONGESTION', 'MISSING_VEHICLE'),
+      severity: Joi.string().valid(...SEVERITY_LEVELS),
+      line: Joi.string().max(200),
+      all: Joi.boolean().default(false)
+    })
+  },
+  isochrones: {
+    query: Joi.object({
+      lat: latitude,
+      lon: longitude,
+      address,
+      mode: Joi.string().valid(...ISOCHRONE_MODES).default('walking'),
+      minutes: Joi.string().pattern(/^\d{1,3}(,\d{1,3}){0,5}$/).default('10,20,30').custom((value, helpers) => {
+        const list = [...new Set(value.split(',').map(Number))].sort((a, b) => a - b);
+        return list.some(m => m < 1 || m > 120) ? helpers.error('any.invalid') : list;
+      }),
+      departureTime: Joi.date().iso()
+    }).and('lat', 'lon').or('address', 'lat')
+  },
+  vehicles: { query: Joi.object({ routeId: Joi.string().max(200) }) },
+  alerts: { query: Joi.object({ routeId: Joi.string().max(200), stopId: Joi.string().max(200) }) }
+};
+
+function validate(schemas) {
+  return (req, res, next) => {
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+
+      const { value, error } = schemas[part].validate(req[part] || {}, {
+        abortEarly: false,
+        allowUnknown: part === 'query'
+      });
+      if (error) {
+        return next(new ApiError(400, 'VALIDATION_ERROR', 'Requête invalide', error.details.map(d => ({
+          location: part,
+          field: d.path.join('.') || null,
+          code: d.type,
+          message: d.message
+        }))));
+      }
+      req[part] = value;
+    }
+    next();
+  };
+}
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     redis: redisClient?.isOpen || false,
-    openrouteservice: config.openRouteServiceKey !== '5b3ce3597851110001cf6248YOUR_KEY_HERE',
-    tomtom: config.tomtomApiKey !== 'YOUR_TOMTOM_API_KEY',
+    geocoding: GeocodingService.status(),
+    routing: RoutingService.status(),
+    incidents: IncidentService.status(),
+    tomtom: Boolean(config.tomtomApiKey),
+    gtfs: GtfsStore.stats() || false,
+    gtfsRealtime: GtfsRealtimeService.status(),
     timestamp: new Date().toISOString()
   });
 });
 
-app.get('/api/geocode', async (req, res) => {
-  try {
-    const { address } = req.query;
-    if (!address) {
-      return res.status(400).json({ error: 'Paramètre address requis' });
-    }
+function isAdmin(req) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(req.get('Authorization') || ''), digest(`Bearer ${config.adminToken}`));
+}
+
+app.get('/api/admin/config', (req, res, next) => {
+  if (!config.adminToken) {
+    return next(new ApiError(404, 'ROUTE_NOT_FOUND', 'Route non trouvée'));
+  }
+  if (!isAdmin(req)) {
+    return next(new ApiError(401, 'UNAUTHORIZED', 'Jeton administrateur requis'));
+  }
+  res.json({ config: publicConfig(), sources: configSources });
+});
+
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metricsRegistry.contentType);
+  res.end(await metricsRegistry.metrics());
+});
 
-    const geo = await GeocodingService.geocode(address);
+app.get('/api/geocode', validate(SCHEMAS.geocode), async (req, res, next) => {
+  try {
+    const geo = await GeocodingService.geocode(req.query.address);
     if (!geo) {
-      return res.status(404).json({ error: 'Adresse introuvable' });
+      throw new ApiError(404, 'ADDRESS_NOT_FOUND', 'Adresse introuvable');
     }
 
     res.json(geo);
   } catch (err) {
-    logger.error('Geocode error:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-app.get('/api/traffic', async (req, res) => {
+app.get('/api/geocode/reverse', validate(SCHEMAS.reverseGeocode), async (req, res, next) => {
   try {
     const { lat, lon } = req.query;
-    if (!lat || !lon) {
-      return res.status(400).json({ error: 'Paramètres lat et lon requis' });
+    const place = await GeocodingService.reverse(lat, lon);
+    if (!place) {
+      throw new ApiError(404, 'ADDRESS_NOT_FOUND', 'Aucune adresse pour cette position');
     }
 
-    const traffic = await TomTomTrafficService.getRealTimeTraffic(
-      parseFloat(lat),
-      parseFloat(lon)
-    );
+    res.json({ ...place, query: { lat, lon } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/geocode/suggest', validate(SCHEMAS.suggest), async (req, res, next) => {
+  try {
+    const { q, limit } = req.query;
+    if (q.length < 2) {
+      return res.json({ query: q, suggestions: [] });
+    }
 
+    const suggestions = await GeocodingService.suggest(q, limit);
+    res.json({ query: q, suggestions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/traffic', validate(SCHEMAS.traffic), async (req, res, next) => {
+  try {
+    const traffic = await TomTomTrafficService.getRealTimeTraffic(req.query.lat, req.query.lon);
     res.json(traffic);
   } catch (err) {
-    logger.error('Traffic error:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-app.post('/api/routes/optimize', async (req, res) => {
+app.get('/api/traffic/cache', validate(SCHEMAS.trafficCache), (req, res) => {
+  res.json(TomTomTrafficService.cacheStats(req.query.limit));
+});
+
+app.get('/api/traffic/history', validate(SCHEMAS.trafficHistory), async (req, res, next) => {
   try {
-    const { origin, destination } = req.body;
-    if (!origin || !destination) {
-      return res.status(400).json({ error: 'origin et destination requis' });
+    const { lat, lon, limit } = req.query;
+    const bucket = req.query.bucket || RouteService.geohash(lat, lon, config.trafficGeohashPrecision);
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 7 * 86400000);
+    if (from > to) {
+      throw new ApiError(400, 'INVALID_RANGE', 'La date de début doit précéder la date de fin');
     }
 
-    const o = origin.address
-      ? await GeocodingService.geocode(origin.address)
-      : origin;
-    const d = destination.address
-      ? await GeocodingService.geocode(destination.address)
-      : destination;
+    const samples = await TrafficHistoryService.history({ bucket, from, to, limit });
+    res.json({ bucket, from, to, count: samples.length, samples });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/traffic/profile', validate(SCHEMAS.trafficProfile), (req, res) => {
+  const { lat, lon } = req.query;
+  const bucket = req.query.bucket || RouteService.geohash(lat, lon, config.trafficGeohashPrecision);
+  const profile = TrafficHistoryService.profile(bucket);
+
+  res.json({
+    bucket,
+    timezone: config.timezone,
+    samples: profile.reduce((sum, cell) => sum + cell.samples, 0),
+    profile
+  });
+});
+
+app.get('/api/incidents', validate(SCHEMAS.incidents), async (req, res, next) => {
+  try {
+    const { bbox, type, severity } = req.query;
+    const incidents = (await IncidentService.getIncidents(bbox))
+      .filter(i => (!type || i.type === type) && (!severity || i.severity === severity));
+
+    res.json({ bbox, count: incidents.length, incidents });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/traffic/forecast', validate(SCHEMAS.trafficForecast), (req, res) => {
+  const { lat, lon } = req.query;
+  const bucket = req.query.bucket || RouteService.geohash(lat, lon, config.trafficGeohashPrecision);
+  const latest = TrafficHistoryService.latest(bucket);
+
+  res.json({
+    bucket,
+    current: latest,
+    forecasts: TrafficForecastService.forecast(bucket)
+  });
+});
+
+app.get('/api/traffic/forecast/accuracy', (req, res) => {
+  res.json(TrafficForecastService.accuracyReport());
+});
+
+app.post('/api/routes/optimize', validate(SCHEMAS.optimize), async (req, res, next) => {
+  try {
+    const { origin, destination, via, optimizeOrder, weights: weightOverrides, departureTime, departAt, arriveBy, profile, accessibility } = req.body;
+    const timeZone = req.body.timezone || config.timezone;
+    const weights = ScoringService.resolveWeights(weightOverrides || {});
+    const arrival = arriveBy ? TimeService.parseLocal(arriveBy, timeZone) : null;
+    const departure = departAt ? TimeService.parseLocal(departAt, timeZone) : departureTime || new Date();
+
+    const o = await GeocodingService.resolve(origin);
+    const d = await GeocodingService.resolve(destination);
 
     if (!o || !d) {
-      return res.status(404).json({ error: 'Adresse introuvable' });
+      throw new ApiError(404, 'ADDRESS_NOT_FOUND', 'Adresse introuvable');
+    }
+
+    const stops = await Promise.all(via.map(v => GeocodingService.resolve(v)));
+    const missing = stops.map((s, i) => (s ? null : i)).filter(i => i !== null);
+    if (missing.length) {
+      throw new ApiError(404, 'ADDRESS_NOT_FOUND', 'Étape introuvable', missing.map(i => ({
+        location: 'body',
+        field: `via.${i}`,
+        code: 'address.not_found',
+        message: `Adresse introuvable: ${via[i].address}`
+      })));
     }
 
-    const route = await OpenRouteService.getRoute(o.lat, o.lon, d.lat, d.lon);
-    const routeTraffic = await TomTomTrafficService.getRouteTraffic(route.coordinates);
+    const order = optimizeOrder ? RouteService.optimizeWaypointOrder(o, stops, d) : stops.map((_, i) => i);
+    const waypoints = order.map(i => stops[i]);
+
+    const points = [o, ...waypoints, d];
+    const routeProfile = accessibility && profile === 'walking' ? accessibility : profile;
+    const tripTraffic = legs => (arrival
+      ? TomTomTrafficService.getTripTrafficArrivingBy(legs, arrival, routeProfile)
+      : TomTomTrafficService.getTripTraffic(legs, departure, routeProfile));
+    let route = await RoutingService.getTripRoute(points, routeProfile);
+    let routeTraffic = await tripTraffic(route.legs);
     const transportLines = PublicTransportService.getTransportLines();
 
+    const transitDeparture = arrival && !waypoints.length
+      ? JourneyPlanner.latestDeparture({ origin: o, destination: d, arriveBy: arrival, accessibility })
+      : departure;
+    const planned = waypoints.length || !transitDeparture ? [] : JourneyPlanner.plan({
+      origin: o,
+      destination: d,
+      departureTime: transitDeparture,
+      accessibility,
+      count: config.maxAlternatives * 3
+    });
+    const itineraries = (await AccessibilityService.routeItineraries(planned, accessibility))
+      .filter(it => !arrival || new Date(it.arrivalTime) <= arrival);
+
+    const incidents = await IncidentService.getIncidents(IncidentService.boundingBox([
+      ...route.coordinates,
+      ...itineraries.flatMap(it => it.legs.flatMap(l => l.coordinates || []))
+    ]));
+
+    const closures = ClosureService.detect({ route, traffic: routeTraffic, incidents, points });
+    if (closures.length) {
+      const avoid = closures.filter(c => c.avoidable).map(c => RouteService.avoidArea(c.location.lat, c.location.lon, c.radius));
+      const original = { distance: Math.round(route.distance), duration: Math.round(route.duration), provider: route.provider };
+      if (avoid.length) {
+        route = await RoutingService.getTripRoute(points, routeProfile, avoid);
+        routeTraffic = await tripTraffic(route.legs);
+      }
+      route.rerouted = avoid.length > 0;
+      route.reroute = {
+        reason: ClosureService.explain(closures),
+        avoided: avoid.length > 0 && !route.blocked,
+        closures,
+        original
+      };
+    }
+    route.legs.forEach((leg, i) => { leg.traffic = routeTraffic.legs[i]; });
+
+    const routes = RouteRankingService.rank({
+      origin: o,
+      destination: d,
+      roadRoute: route,
+      profile: routeProfile,
+      traffic: routeTraffic,
+      itineraries,
+      weights,
+      incidents
+    });
+
     res.json({ 
       origin: o, 
       destination: d, 
+      waypoints,
+      order,
+      timing: {
+        timezone: timeZone,
+        ...(arrival ? { arriveBy: arrival } : { departAt: departure }),
+        roadDepartAt: routeTraffic.departAt,
+        roadArriveAt: routeTraffic.arriveAt,
+        ...(arrival && { roadArrivesInTime: routeTraffic.arrivesInTime }),
+        trafficEstimated: routeTraffic.estimated
+      },
       route: {
         ...route,
         traffic: routeTraffic
       },
+      routes,
+      weights,
+      anomalies: [...new Map(routes.flatMap(r => r.anomalies).map(a => [a.id, a])).values()],
+      incidents: [...new Map(routes.flatMap(r => r.incidents).map(i => [i.id, i])).values()],
       transportLines,
-      message: route.fallback ? 'Itinéraire calculé en mode fallback (ORS indisponible)' : null
+      message: [
+        route.fallback && 'Itinéraire calculé en mode fallback (aucun fournisseur de routage disponible)',
+        route.reroute?.reason,
+        routeTraffic.arrivesInTime === false && "L'itinéraire routier ne permet pas d'arriver à l'heure demandée"
+      ].filter(Boolean).join('. ') || null
+    });
+    metrics.routeOptimizations.inc({ status: route.fallback ? 'fallback' : 'success' });
+  } catch (err) {
+    metrics.routeOptimizations.inc({ status: 'error' });
+    next(err);
+  }
+});
+
+app.post('/api/routes/compare', validate(SCHEMAS.compare), async (req, res, next) => {
+  try {
+    const { origin, destination, departureTime, departAt, arriveBy, modes, accessibility } = req.body;
+    const timeZone = req.body.timezone || config.timezone;
+    const arrival = arriveBy ? TimeService.parseLocal(arriveBy, timeZone) : null;
+    const departure = departAt ? TimeService.parseLocal(departAt, timeZone) : departureTime || new Date();
+
+    const o = await GeocodingService.resolve(origin);
+    const d = await GeocodingService.resolve(destination);
+    if (!o || !d) {
+      throw new ApiError(404, 'ADDRESS_NOT_FOUND', 'Adresse introuvable');
+    }
+
+    const comparison = await ModeComparisonService.compare({
+      origin: o, destination: d, departureTime: departure, arriveBy: arrival, modes, accessibility
+    });
+
+    res.json({
+      origin: o,
+      destination: d,
+      departureTime: arrival ? null : departure.toISOString(),
+      arriveBy: arrival ? arrival.toISOString() : null,
+      ...comparison
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/api/fares/quote', validate(SCHEMAS.fareQuote), (req, res, next) => {
+  try {
+    const { itinerary, riderCategory, fareMedia } = req.body;
+    if (!GtfsStore.isLoaded()) {
+      throw new ApiError(503, 'GTFS_UNAVAILABLE', 'Aucun flux GTFS chargé');
+    }
+
+    const legs = itinerary ? FareService.fromItinerary(itinerary.legs) : req.body.legs;
+    const rideIndexes = itinerary
+      ? itinerary.legs.map((l, i) => (l.type === 'ride' ? i : null)).filter(i => i !== null)
+      : legs.map((_, i) => i);
+    const field = (i, key, itineraryKey) => (itinerary ? `itinerary.legs.${rideIndexes[i]}.${itineraryKey}` : `legs.${i}.${key}`);
+
+    const unknownLines = legs.flatMap((leg, i) => (GtfsStore.getRoute(leg.routeId) ? [] : [{
+      location: 'body', field: field(i, 'routeId', 'line.id'), code: 'line.not_found', message: `Ligne inconnue: ${leg.routeId}`
+    }]));
+    if (unknownLines.length) throw new ApiError(404, 'LINE_NOT_FOUND', 'Ligne introuvable', unknownLines);
+
+    const unknownStops = legs.flatMap((leg, i) => [['fromStopId', 'from.stopId'], ['toStopId', 'to.stopId']]
+      .filter(([key]) => !GtfsStore.getStop(leg[key]))
+      .map(([key, itineraryKey]) => ({
+        location: 'body', field: field(i, key, itineraryKey), code: 'stop.not_found', message: `Arrêt inconnu: ${leg[key]}`
+      })));
+    if (unknownStops.length) throw new ApiError(404, 'STOP_NOT_FOUND', 'Arrêt introuvable', unknownStops);
+
+    res.json(FareService.quote(legs, { riderCategory, fareMedia }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/api/journeys', validate(SCHEMAS.journeys), async (req, res, next) => {
+  try {
+    const { origin, destination, departureTime, maxTransfers, count, accessibility } = req.body;
+    if (!GtfsStore.isLoaded()) {
+      throw new ApiError(503, 'GTFS_UNAVAILABLE', 'Aucun flux GTFS chargé');
+    }
+
+    const departure = departureTime || new Date();
+    const o = await GeocodingService.resolve(origin);
+    const d = await GeocodingService.resolve(destination);
+    if (!o || !d) {
+      throw new ApiError(404, 'ADDRESS_NOT_FOUND', 'Adresse introuvable');
+    }
+
+    const itineraries = await AccessibilityService.routeItineraries(JourneyPlanner.plan({
+      origin: o,
+      destination: d,
+      departureTime: departure,
+      maxTransfers,
+      count,
+      accessibility
+    }), accessibility);
+
+    res.json({
+      origin: o,
+      destination: d,
+      departureTime: departure.toISOString(),
+      itineraries,
+      message: itineraries.length ? null : 'Aucun itinéraire en transport public trouvé'
     });
   } catch (err) {
-    logger.error(err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+app.get('/api/isochrones', validate(SCHEMAS.isochrones), async (req, res, next) => {
+  try {
+    const { lat, lon, address: query, mode, minutes, departureTime } = req.query;
+    if (mode === 'transit' && !GtfsStore.isLoaded()) {
+      throw new ApiError(503, 'GTFS_UNAVAILABLE', 'Aucun flux GTFS chargé');
+    }
+
+    const origin = await GeocodingService.resolve(query ? { address: query } : { lat, lon });
+    if (!origin) {
+      throw new ApiError(404, 'ADDRESS_NOT_FOUND', 'Adresse introuvable');
+    }
+
+    res.json(await IsochroneService.compute({
+      origin,
+      mode,
+      minutes,
+      departureTime: departureTime || new Date()
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/transport/lines', (req, res) => {
+  res.json(PublicTransportService.getTransportLines());
+});
+
+app.get('/api/transport/lines/:id', validate(SCHEMAS.id), (req, res, next) => {
+  const line = PublicTransportService.getLineDetails(req.params.id);
+  if (!line) {
+    return next(new ApiError(404, 'LINE_NOT_FOUND', 'Ligne introuvable'));
+  }
+  res.json(line);
+});
+
+app.get('/api/transport/stops', validate(SCHEMAS.stops), (req, res) => {
+  const { lat, lon, radius, q, limit } = req.query;
+  const stops = GtfsStore.findStops({ lat, lon, radius, query: q, limit });
+
+  res.json({ stops, count: stops.length });
+});
+
+app.get('/api/transport/stops/:id', validate(SCHEMAS.id), (req, res, next) => {
+  const stop = PublicTransportService.getStopDetails(req.params.id);
+  if (!stop) {
+    return next(new ApiError(404, 'STOP_NOT_FOUND', 'Arrêt introuvable'));
+  }
+  res.json(stop);
+});
+
+app.get('/api/transport/shapes/:id', validate(SCHEMAS.id), (req, res, next) => {
+  const coordinates = GtfsStore.getShape(req.params.id);
+  if (!coordinates) {
+    return next(new ApiError(404, 'SHAPE_NOT_FOUND', 'Tracé introuvable'));
+  }
+  res.json({ id: req.params.id, coordinates });
+});
+
+app.get('/api/anomalies', validate(SCHEMAS.anomalies), (req, res) => {
+  const { type, severity, line, all } = req.query;
+  const anomalies = AnomalyService.list({
+    type,
+    severity,
+    line,
+    activeOnly: !all
+  });
+  res.json({ anomalies, count: anomalies.length, timestamp: new Date().toISOString() });
+});
+
+app.get('/api/realtime/status', (req, res) => {
+  res.json(GtfsRealtimeService.status());
+});
+
+app.get('/api/realtime/vehicles', validate(SCHEMAS.vehicles), (req, res) => {
+  const { routeId } = req.query;
+  const vehicles = GtfsRealtimeService.state.vehiclePositions
+    .filter(v => !routeId || v.routeId === routeId);
+  res.json({ vehicles, count: vehicles.length, updatedAt: GtfsRealtimeService.state.updatedAt.vehiclePositions || null });
+});
+
+app.get('/api/realtime/alerts', validate(SCHEMAS.alerts), (req, res) => {
+  const { routeId, stopId } = req.query;
+  const alerts = GtfsRealtimeService.state.alerts.filter(a =>
+    (!routeId || a.informedEntities.some(e => e.routeId === routeId)) &&
+    (!stopId || a.informedEntities.some(e => e.stopId === stopId))
+  );
+  res.json({ alerts, count: alerts.length, updatedAt: GtfsRealtimeService.state.updatedAt.alerts || null });
+});
+
+app.get('/api/realtime/trip-updates/:tripId', validate(SCHEMAS.tripId), (req, res, next) => {
+  const update = GtfsRealtimeService.getTripUpdate(req.params.tripId);
+  if (!update) {
+    return next(new ApiError(404, 'TRIP_UPDATE_NOT_FOUND', 'Aucune mise à jour temps réel pour cette course'));
   }
+  res.json(update);
 });
 
-app.use((req, res) => res.status(404).json({ error: 'Route non trouvée' }));
+app.use((req, res, next) => next(new ApiError(404, 'ROUTE_NOT_FOUND', 'Route non trouvée')));
+
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    err = new ApiError(400, 'INVALID_JSON', 'Corps de requête JSON invalide');
+  } else if (!(err instanceof ApiError)) {
+    logger.error(`${req.method} ${req.path}: ${err.message}`);
+    err = new ApiError(500, 'INTERNAL_ERROR', 'Erreur interne du serveur');
+  }
+
+  res.status(err.status).json({
+    error: {
+      code: err.code,
+      message: err.message,
+      ...(err.details && { details: err.details })
+    }
+  });
+});
 
 /* ==================== SERVER ==================== */
+try {
+  GtfsStore.load(config.gtfsPath);
+} catch (err) {
+  logger.warn(`⚠️ Flux GTFS non chargé depuis ${config.gtfsPath} (${err.message}) - aucune ligne disponible`);
+}
+
+if (configSources.gazetteerPath !== 'default' || fs.existsSync(config.gazetteerPath)) {
+  try {
+    Gazetteer.load(config.gazetteerPath);
+  } catch (err) {
+    logger.warn(`⚠️ Gazetteer non chargé depuis ${config.gazetteerPath} (${err.message})`);
+  }
+}
+
 app.listen(config.port, () => {
   logger.info(`🚀 Backend démarré sur le port ${config.port}`);
-  if (config.openRouteServiceKey === '5b3ce3597851110001cf6248YOUR_KEY_HERE') {
-    logger.warn('⚠️ Clé API OpenRouteService non configurée - utilisera le mode fallback');
+  AnomalyService.restore().then(() => GtfsRealtimeService.start());
+  TrafficHistoryService.load().catch(err => {
+    logger.warn(`⚠️ Historique trafic non chargé depuis ${config.trafficHistoryPath} (${err.message})`);
+  });
+  if (config.routingProviders.includes('ors') && !OpenRouteServiceProvider.isConfigured()) {
+    logger.warn('⚠️ Clé API OpenRouteService non configurée - fournisseur ignoré');
     logger.info('📝 Obtenez une clé gratuite sur https://openrouteservice.org/dev/#/signup');
   }
-  if (config.tomtomApiKey === 'YOUR_TOMTOM_API_KEY') {
+  if (!RoutingService.chain().length) {
+    logger.warn('⚠️ Aucun fournisseur de routage configuré - utilisera le mode fallback');
+  } else {
+    logger.info(`🧭 Routage: ${RoutingService.chain().map(p => p.id).join(' → ')}`);
+  }
+  if (!config.tomtomApiKey) {
     logger.warn('⚠️ Clé API TomTom non configurée - utilisera le mode fallback');
   }
 });
 
 process.on('SIGTERM', async () => {
+  GtfsRealtimeService.stop();
   if (redisClient?.isOpen) await redisClient.quit();
   process.exit(0);
 });
\ No newline at end of file
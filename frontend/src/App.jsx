@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useId } from "react";
 import {
   Bus,
   MapPin,
@@ -7,92 +7,205 @@ import {
   Clock,
   Navigation,
   Activity,
-  TrendingUp
+  TrendingUp,
+  Star,
+  Crosshair,
+  Plus,
+  X,
+  ArrowUp,
+  ArrowDown,
+  Car,
+  Bike,
+  Footprints,
+  Scale,
+  Leaf,
+  Coins,
+  Ticket,
+  Accessibility
 } from "lucide-react";
 
 const API_URL = "http://localhost:3000";
+const SAVED_LOCATIONS_KEY = "transport-optimizer:saved-locations";
 
 class TransportOptimizer {
-  static calculateUrbanDensity(lat, lon) {
-    const highDensityZones = [
-      { lat: 33.5731, lon: -7.5898, radius: 0.02, name: "Centre-ville" },
-      { lat: 33.5892, lon: -7.6039, radius: 0.015, name: "Maarif" },
-      { lat: 33.6016, lon: -7.6322, radius: 0.012, name: "Ain Diab" }
-    ];
-
-    let density = 30;
-    for (const zone of highDensityZones) {
-      const distance = Math.sqrt(
-        Math.pow(lat - zone.lat, 2) + Math.pow(lon - zone.lon, 2)
-      );
-      if (distance < zone.radius) {
-        density += (1 - distance / zone.radius) * 70;
-      }
+  static formatTime(isoString) {
+    if (!isoString) return null;
+    return new Date(isoString).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  static escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  static loadSavedLocations() {
+    try {
+      return JSON.parse(localStorage.getItem(SAVED_LOCATIONS_KEY)) || [];
+    } catch {
+      return [];
     }
-    return Math.min(100, Math.round(density));
   }
 
-  static generateBestRoute(originLat, originLon, destLat, destLon, baseRoute, trafficData, transportLines) {
-    const distance = baseRoute.distance;
-    const baseDuration = baseRoute.duration;
-    const realTraffic = trafficData.averageCongestion;
-    const avgDensity = (this.calculateUrbanDensity(originLat, originLon) + this.calculateUrbanDensity(destLat, destLon)) / 2;
-
-    const busLines = [transportLines.bus[0].id, transportLines.bus[1].id];
-    const route = {
-      id: 1,
-      name: "Itinéraire optimal",
-      subtitle: "Meilleur trajet disponible",
-      type: "BUS_DIRECT",
-      coordinates: baseRoute.coordinates,
-      duration: Math.round(baseDuration / 60 * (1.3 + realTraffic / 200)),
-      transfers: 0,
-      walkingDistance: Math.round(distance * 0.05),
-      totalDistance: Math.round(distance),
-      busLines: busLines,
-      lineDetails: busLines.map(id => transportLines.bus.find(l => l.id === id)),
-      trafficLevel: realTraffic > 60 ? "Dense" : realTraffic > 40 ? "Modéré" : "Fluide",
-      trafficSpeed: `${Math.round(42 + Math.random() * 15)}.${Math.round(Math.random() * 9)}`,
-      congestion: realTraffic,
-      score: this.calculateScore(baseDuration / 60 * 1.3, 0, distance * 0.05, avgDensity, realTraffic),
-      alerts: realTraffic > 60 ? [{type: "alert", text: "1 alerte(s)"}, {type: "info", text: `+${Math.round(realTraffic / 10)} min de retard estimé`}] : [],
-      segments: this.generateSegments(baseRoute.coordinates, busLines, transportLines)
-    };
+  static saveLocation(place) {
+    const saved = this.loadSavedLocations().filter(p => p.display_name !== place.display_name);
+    const entry = { display_name: place.display_name, lat: place.lat, lon: place.lon, type: 'saved' };
+    localStorage.setItem(SAVED_LOCATIONS_KEY, JSON.stringify([entry, ...saved].slice(0, 8)));
+  }
 
-    return route;
+  static matchSavedLocations(query) {
+    const q = query.trim().toLowerCase();
+    if (!q) return [];
+    return this.loadSavedLocations().filter(p => p.display_name.toLowerCase().includes(q));
   }
 
-  static generateSegments(coordinates, lineIds, transportLines) {
-    const segments = [];
-    const segmentLength = Math.floor(coordinates.length / lineIds.length);
-    lineIds.forEach((lineId, index) => {
-      const start = index * segmentLength;
-      const end = index === lineIds.length - 1 ? coordinates.length : (index + 1) * segmentLength;
-      const line = [...transportLines.tramway, ...transportLines.bus].find(l => l.id === lineId);
-      segments.push({
-        lineId,
-        lineName: line?.name || lineId,
-        lineColor: line?.color || '#666',
-        startIndex: start,
-        endIndex: end,
-        coordinates: coordinates.slice(start, end)
-      });
-    });
-    return segments;
+  static formatEmissions(grams) {
+    return grams >= 1000 ? `${(grams / 1000).toFixed(1)} kg CO₂` : `${grams} g CO₂`;
   }
 
-  static calculateScore(duration, transfers, walking, density, traffic) {
-    let score = 100;
-    score -= duration * 0.8;
-    score -= transfers * 8;
-    score -= (walking / 100) * 2;
-    score -= (density / 100) * 5;
-    score -= (traffic / 100) * 10;
-    return Math.max(0, Math.min(100, Math.round(score * 10) / 10));
+  static isochroneColor(minutes, features) {
+    const sorted = features.map(f => f.properties.minutes).sort((a, b) => a - b);
+    return ISOCHRONE_COLORS[sorted.indexOf(minutes) % ISOCHRONE_COLORS.length];
   }
 }
 
-function LeafletMap({ route }) {
+const SUGGESTION_ICONS = {
+  saved: { Icon: Star, className: "text-yellow-500" },
+  stop: { Icon: Bus, className: "text-blue-500" },
+  station: { Icon: Bus, className: "text-blue-500" },
+  place: { Icon: MapPin, className: "text-gray-400" }
+};
+
+function AddressInput({ value, onChange, onSelect, onSubmit, placeholder, iconClassName, action }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [open, setOpen] = useState(false);
+  const listboxId = useId();
+
+  useEffect(() => {
+    const query = value.trim();
+    if (query.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const saved = TransportOptimizer.matchSavedLocations(query);
+      try {
+        const res = await fetch(`${API_URL}/api/geocode/suggest?q=${encodeURIComponent(query)}`, { signal: controller.signal });
+        const data = res.ok ? await res.json() : { suggestions: [] };
+        const names = new Set(saved.map(p => p.display_name));
+        setSuggestions([...saved, ...data.suggestions.filter(s => !names.has(s.display_name))]);
+      } catch (err) {
+        if (err.name !== 'AbortError') setSuggestions(saved);
+      }
+      setHighlighted(-1);
+    }, 250);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  const select = (suggestion) => {
+    onSelect(suggestion);
+    setOpen(false);
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    const visible = open && suggestions.length > 0;
+    if (e.key === 'ArrowDown' && visible) {
+      e.preventDefault();
+      setHighlighted(i => (i + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && visible) {
+      e.preventDefault();
+      setHighlighted(i => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === 'Enter') {
+      if (visible && highlighted >= 0) {
+        e.preventDefault();
+        select(suggestions[highlighted]);
+      } else {
+        setOpen(false);
+        onSubmit();
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <MapPin className={`absolute left-3 top-3.5 w-5 h-5 ${iconClassName}`} />
+      <input
+        className={`border-2 border-gray-200 p-3 pl-10 rounded-xl w-full focus:outline-none focus:border-blue-500 ${action ? 'pr-12' : ''}`}
+        placeholder={placeholder}
+        value={value}
+        role="combobox"
+        aria-controls={listboxId}
+        aria-expanded={open && suggestions.length > 0}
+        aria-autocomplete="list"
+        onChange={e => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      {action}
+
+      {open && suggestions.length > 0 && (
+        <ul id={listboxId} role="listbox" style={{ zIndex: 1000 }} className="absolute mt-1 w-full bg-white border border-gray-200 rounded-xl shadow-lg overflow-hidden">
+          {suggestions.map((s, idx) => {
+            const { Icon, className } = SUGGESTION_ICONS[s.type] || SUGGESTION_ICONS.place;
+            return (
+              <li
+                key={`${s.display_name}-${s.lat}-${s.lon}`}
+                role="option"
+                aria-selected={idx === highlighted}
+                onMouseDown={e => {
+                  e.preventDefault();
+                  select(s);
+                }}
+                onMouseEnter={() => setHighlighted(idx)}
+                className={`flex items-center gap-2 px-3 py-2 cursor-pointer text-sm ${idx === highlighted ? 'bg-blue-50' : ''}`}
+              >
+                <Icon className={`w-4 h-4 flex-shrink-0 ${className}`} />
+                <span className="truncate text-gray-700">{s.display_name}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const ISOCHRONE_COLORS = ["#2E7D32", "#9E9D24", "#F9A825", "#EF6C00", "#C62828", "#6A1B9A"];
+
+const ISOCHRONE_MODES = {
+  walking: "À pied",
+  driving: "En voiture",
+  transit: "Transport public + marche"
+};
+
+const COMPARISON_MODES = {
+  driving: { label: "Voiture", Icon: Car },
+  cycling: { label: "Vélo", Icon: Bike },
+  walking: { label: "À pied", Icon: Footprints },
+  transit: { label: "Transport public", Icon: Bus }
+};
+
+const SCORE_CRITERIA_LABELS = {
+  duration: "Durée",
+  transfers: "Correspondances",
+  walking: "Marche",
+  congestion: "Trafic",
+  density: "Densité"
+};
+
+function LeafletMap({ route, isochrones }) {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const markersRef = useRef([]);
@@ -116,13 +229,20 @@ function LeafletMap({ route }) {
     } else {
       initMap();
     }
+
+    return () => {
+      if (mapInstanceRef.current) {
+        mapInstanceRef.current.remove();
+        mapInstanceRef.current = null;
+      }
+    };
   }, []);
 
   useEffect(() => {
-    if (window.L && mapInstanceRef.current && route) {
+    if (window.L && mapInstanceRef.current && (route || isochrones)) {
       updateMap();
     }
-  }, [route]);
+  }, [route, isochrones]);
 
   const initMap = () => {
     if (!window.L || !mapRef.current || mapInstanceRef.current) return;
@@ -141,18 +261,43 @@ function LeafletMap({ route }) {
 
     mapInstanceRef.current = map;
 
-    if (route) {
+    if (route || isochrones) {
       updateMap();
     }
   };
 
   const updateMap = () => {
     const map = mapInstanceRef.current;
-    if (!map || !route) return;
+    if (!map) return;
 
     markersRef.current.forEach(layer => map.removeLayer(layer));
     markersRef.current = [];
 
+    if (isochrones) {
+      const isochroneLayer = window.L.geoJSON(isochrones, {
+        style: feature => {
+          const color = TransportOptimizer.isochroneColor(feature.properties.minutes, isochrones.features);
+          return { color, weight: 2, opacity: 0.8, fillColor: color, fillOpacity: 0.15 };
+        },
+        onEachFeature: (feature, layer) => layer.bindTooltip(`${feature.properties.minutes} min`, { sticky: true })
+      }).addTo(map);
+      markersRef.current.push(isochroneLayer);
+
+      const originMarker = window.L.circleMarker([isochrones.origin.lat, isochrones.origin.lon], {
+        radius: 7,
+        color: 'white',
+        weight: 3,
+        fillColor: '#1E88E5',
+        fillOpacity: 1
+      }).addTo(map);
+      markersRef.current.push(originMarker);
+
+      if (!route) {
+        map.fitBounds(isochroneLayer.getBounds(), { padding: [40, 40] });
+        return;
+      }
+    }
+
     const allCoords = route.coordinates.map(c => [c[0], c[1]]);
     
     const shadowLine = window.L.polyline(allCoords, {
@@ -254,11 +399,69 @@ function LeafletMap({ route }) {
     endMarker.bindPopup(endPopup);
     markersRef.current.push(endMarker);
 
+    if (route.type === 'ROAD') {
+      route.legs.slice(0, -1).forEach((leg, i) => {
+        const viaIcon = window.L.divIcon({
+          className: 'custom-marker',
+          html: `
+            <div style="background-color: #1E88E5; width: 28px; height: 28px; border-radius: 50%; border: 3px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center; color: white; font: bold 13px Arial, sans-serif;">
+              ${i + 1}
+            </div>
+          `,
+          iconSize: [28, 28],
+          iconAnchor: [14, 14]
+        });
+
+        const viaMarker = window.L.marker([leg.to.lat, leg.to.lon], { icon: viaIcon, zIndexOffset: 900 })
+          .addTo(map)
+          .bindPopup(`<div style="padding: 4px 8px; font-family: Arial, sans-serif; font-size: 13px;"><strong>Étape ${i + 1}</strong><br/>${TransportOptimizer.escapeHtml(leg.to.name)}</div>`);
+        markersRef.current.push(viaMarker);
+      });
+    }
+
+    (route.incidents || []).forEach(incident => {
+      const color = ['HIGH', 'CRITICAL'].includes(incident.severity) ? '#D32F2F' : '#F57C00';
+
+      if (incident.coordinates.length > 1) {
+        const incidentLine = window.L.polyline(incident.coordinates, {
+          color,
+          weight: 6,
+          opacity: 0.9,
+          dashArray: '6 8'
+        }).addTo(map);
+        markersRef.current.push(incidentLine);
+      }
+
+      const incidentIcon = window.L.divIcon({
+        className: 'custom-marker',
+        html: `
+          <div style="background-color: ${color}; width: 26px; height: 26px; border-radius: 6px; border: 2px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center; color: white; font: bold 15px Arial, sans-serif;">
+            !
+          </div>
+        `,
+        iconSize: [26, 26],
+        iconAnchor: [13, 13]
+      });
+
+      const incidentMarker = window.L.marker([incident.location.lat, incident.location.lon], { icon: incidentIcon, zIndexOffset: 950 })
+        .addTo(map)
+        .bindPopup(`
+          <div style="padding: 4px 8px; font-family: Arial, sans-serif; font-size: 13px;">
+            <strong>${TransportOptimizer.escapeHtml(incident.description || 'Incident')}</strong>
+            ${incident.from
+              ? `<br/>${TransportOptimizer.escapeHtml(incident.from)}${incident.to ? ` → ${TransportOptimizer.escapeHtml(incident.to)}` : ''}`
+              : ''}
+            ${incident.delay ? `<br/>+${Math.round(incident.delay / 60)} min` : ''}
+          </div>
+        `);
+      markersRef.current.push(incidentMarker);
+    });
+
     const bounds = window.L.latLngBounds(allCoords);
     map.fitBounds(bounds, { padding: [80, 80] });
   };
 
-  if (!route) {
+  if (!route && !isochrones) {
     return (
       <div className="h-full bg-gradient-to-br from-blue-100 via-blue-50 to-indigo-100 rounded-lg flex items-center justify-center">
         <p className="text-gray-400 font-medium">Recherchez un itinéraire pour voir la carte</p>
@@ -305,15 +508,39 @@ function RouteSummaryCard({ route }) {
       <div className="flex justify-between items-start mb-6">
         <div>
           <h3 className="text-2xl font-bold text-gray-800">{route.name}</h3>
-          <p className="text-sm text-gray-500 mt-1">{route.subtitle}</p>
+          {route.accessibility && (
+            <span className={`inline-flex items-center gap-1 mt-1 text-xs font-semibold ${
+              route.accessibility.status === 'accessible' ? 'text-green-600' : 'text-orange-600'
+            }`}>
+              <Accessibility className="w-4 h-4" />
+              {route.accessibility.status === 'accessible' ? 'Accessible en fauteuil roulant' : 'Accessibilité partiellement confirmée'}
+            </span>
+          )}
+          {route.departureTime && (
+            <p className="text-sm text-gray-500 mt-1">
+              Départ {TransportOptimizer.formatTime(route.departureTime)} • Arrivée {TransportOptimizer.formatTime(route.arrivalTime)}
+            </p>
+          )}
         </div>
         <div className="text-right">
-          <div className="text-5xl font-bold text-blue-600">{route.score}</div>
+          <div className="text-5xl font-bold text-blue-600">{route.score.total}</div>
           <div className="text-xs text-gray-500">score</div>
         </div>
       </div>
 
-      <div className="grid grid-cols-2 gap-4 mb-6">
+      <div className="grid grid-cols-5 gap-2 mb-6">
+        {Object.entries(route.score.breakdown).map(([criterion, value]) => (
+          <div key={criterion} className="text-center">
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500" style={{ width: `${value}%` }}></div>
+            </div>
+            <div className="text-xs text-gray-500 mt-1">{SCORE_CRITERIA_LABELS[criterion]}</div>
+            <div className="text-xs font-semibold text-gray-700">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className={`grid gap-4 mb-6 ${route.footprint ? 'grid-cols-2 md:grid-cols-4' : 'grid-cols-2'}`}>
         <div className="text-center p-4 bg-blue-50 rounded-xl">
           <Clock className="w-6 h-6 mx-auto text-blue-600 mb-2" />
           <div className="text-2xl font-bold text-gray-800">{route.duration}min</div>
@@ -324,29 +551,85 @@ function RouteSummaryCard({ route }) {
           <div className="text-2xl font-bold text-gray-800">{route.walkingDistance}m</div>
           <div className="text-xs text-gray-500 mt-1">Marche à pied</div>
         </div>
+        {route.footprint && (
+          <>
+            <div className="text-center p-4 bg-emerald-50 rounded-xl">
+              <Leaf className="w-6 h-6 mx-auto text-emerald-600 mb-2" />
+              <div className="text-2xl font-bold text-gray-800">{TransportOptimizer.formatEmissions(route.footprint.emissions)}</div>
+              <div className="text-xs text-gray-500 mt-1">
+                {route.footprint.emissionsAvoided > 0
+                  ? `${TransportOptimizer.formatEmissions(route.footprint.emissionsAvoided)} évités vs voiture`
+                  : 'Émissions estimées'}
+              </div>
+            </div>
+            <div className="text-center p-4 bg-yellow-50 rounded-xl">
+              <Coins className="w-6 h-6 mx-auto text-yellow-600 mb-2" />
+              <div className="text-2xl font-bold text-gray-800">{route.footprint.cost} {route.footprint.currency}</div>
+              <div className="text-xs text-gray-500 mt-1">
+                {route.footprint.breakdown.parking > 0
+                  ? `dont ${route.footprint.breakdown.parking} ${route.footprint.currency} de stationnement`
+                  : 'Coût estimé'}
+              </div>
+            </div>
+          </>
+        )}
       </div>
 
       <div className="border-t pt-4 mb-4">
-        <div className="text-sm text-gray-600 mb-3">
-          Lignes utilisées:
-        </div>
+        {route.lines.length > 0 && (
+          <div className="text-sm text-gray-600 mb-3">
+            Lignes utilisées:
+          </div>
+        )}
         <div className="flex gap-2 flex-wrap mb-4">
-          {route.lineDetails.map((line, i) => (
+          {route.lines.map((line, i) => (
             <div 
               key={i} 
               className="px-4 py-2 rounded-full text-white text-sm font-semibold shadow-md"
               style={{ backgroundColor: line.color }}
             >
-              {line.id} - {line.name}
+              {line.shortName || line.id} - {line.name}
             </div>
           ))}
         </div>
+        {route.fare?.tickets.length > 0 && (
+          <div className="mb-4 text-sm text-gray-600">
+            <div className="flex items-center gap-2 mb-2">
+              <Ticket className="w-4 h-4 text-blue-600" />
+              Titres de transport : <span className="font-semibold text-gray-800">{route.fare.total} {route.fare.currency}</span>
+              {route.fare.estimated && <span className="text-gray-400">(tarif estimé)</span>}
+            </div>
+            <div className="space-y-1">
+              {route.fare.tickets.map((ticket, i) => (
+                <div key={i} className="flex justify-between gap-2 pl-6">
+                  <span>
+                    {ticket.name}
+                    <span className="text-gray-400"> • {ticket.legs.map(leg => route.lines[leg]?.shortName || route.lines[leg]?.id).join(' + ')}</span>
+                    {ticket.media && <span className="text-gray-400"> • {ticket.media}</span>}
+                  </span>
+                  <span className="font-semibold text-gray-700">{ticket.amount} {ticket.currency}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
         <div className="flex items-center gap-3 text-sm">
           <span className="text-gray-600">État du trafic:</span>
           <div className={`w-3 h-3 rounded-full ${getTrafficColor()}`}></div>
           <span className="font-semibold">{getTrafficText()}</span>
-          <span className="text-gray-400">({route.trafficSpeed} km/h)</span>
+          {route.trafficSpeed && <span className="text-gray-400">({route.trafficSpeed} km/h)</span>}
+          {route.trafficEstimated && <span className="text-gray-400">• prévision selon l'heure de passage</span>}
         </div>
+        {route.trafficForecast && (
+          <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500 mt-2">
+            <TrendingUp className="w-4 h-4" />
+            {route.trafficForecast.map(f => (
+              <span key={f.horizon}>
+                +{f.horizon} min: <span className="font-semibold text-gray-700">{f.averageCongestion}%</span> ({f.lower}–{f.upper}%)
+              </span>
+            ))}
+          </div>
+        )}
       </div>
 
       {route.alerts.length > 0 && (
@@ -372,82 +655,61 @@ function RouteSummaryCard({ route }) {
 function DetailsPanel({ route }) {
   if (!route) return null;
 
-  const generateDetailedSteps = () => {
-    const steps = [];
-    let accumulatedTime = 0;
-    
-    const WALKING_SPEED = 80;
-    const TRANSFER_TIME = 3;
-    
-    const totalWalkingDistance = route.walkingDistance;
-    const walkToFirstStop = Math.round(totalWalkingDistance * 0.4);
-    const walkToDestination = totalWalkingDistance - walkToFirstStop;
-    
-    const totalTransferTime = route.transfers * TRANSFER_TIME;
-    const initialWalkTime = Math.round(walkToFirstStop / WALKING_SPEED);
-    const finalWalkTime = Math.round(walkToDestination / WALKING_SPEED);
-    const transportTime = route.duration - totalTransferTime - initialWalkTime - finalWalkTime;
-    
-    if (walkToFirstStop > 0) {
-      steps.push({
-        type: 'walk',
-        duration: initialWalkTime,
-        distance: walkToFirstStop,
-        description: "Marchez jusqu'à l'arrêt",
-        icon: 'walk',
-        time: `0 min`
-      });
-      accumulatedTime += initialWalkTime;
-    }
+  const describeLeg = leg => {
+    const minutes = Math.max(1, Math.round(leg.duration / 60));
 
-    const segmentDuration = Math.round(transportTime / route.segments.length);
-    
-    route.segments.forEach((segment, idx) => {
-      const coordinateCount = segment.coordinates.length;
-      const estimatedStops = Math.max(2, Math.round(coordinateCount / 8));
-      
-      steps.push({
+    if (leg.type === 'ride') {
+      return {
         type: 'transport',
-        line: segment.lineId,
-        lineName: segment.lineName,
-        lineColor: segment.lineColor,
-        duration: segmentDuration,
-        stops: estimatedStops,
-        description: `Prenez ${segment.lineName}`,
-        icon: segment.lineName.includes('Tramway') ? 'tram' : 'bus',
-        departureTime: `${accumulatedTime} min`,
-        arrivalTime: `${accumulatedTime + segmentDuration} min`
-      });
-      accumulatedTime += segmentDuration;
-
-      if (idx < route.segments.length - 1) {
-        steps.push({
-          type: 'transfer',
-          duration: TRANSFER_TIME,
-          description: `Correspondance - Changez vers ${route.segments[idx + 1].lineName}`,
-          icon: 'transfer',
-          time: `${accumulatedTime} min`
-        });
-        accumulatedTime += TRANSFER_TIME;
-      }
-    });
+        line: leg.line.shortName || leg.line.id,
+        lineName: leg.line.name,
+        lineColor: leg.line.color,
+        duration: minutes,
+        stops: leg.intermediateStops.length + 1,
+        description: `Prenez ${leg.line.name} direction ${leg.headsign || leg.to.name}, de ${leg.from.name} à ${leg.to.name}`,
+        icon: leg.mode === 'tramway' ? 'tram' : 'bus',
+        departureTime: TransportOptimizer.formatTime(leg.departureTime),
+        arrivalTime: TransportOptimizer.formatTime(leg.arrivalTime),
+        delay: leg.realtime ? Math.round(leg.delay / 60) : null
+      };
+    }
 
-    if (walkToDestination > 0) {
-      steps.push({
+    if (leg.type === 'transfer') {
+      return {
+        type: 'transfer',
+        duration: minutes,
+        description: leg.distance > 0
+          ? `Correspondance - Marchez ${leg.distance}m jusqu'à ${leg.to.name}`
+          : `Correspondance à ${leg.to.name}`,
+        icon: 'transfer',
+        time: TransportOptimizer.formatTime(leg.departureTime)
+      };
+    }
+
+    if (leg.type === 'drive') {
+      return {
         type: 'walk',
-        duration: finalWalkTime,
-        distance: walkToDestination,
-        description: "Marchez jusqu'à la destination",
+        label: 'Trajet routier',
+        duration: minutes,
+        distance: leg.distance,
+        description: `Rejoignez ${leg.to.name} par la route`,
         icon: 'walk',
-        time: `${accumulatedTime} min`
-      });
-      accumulatedTime += finalWalkTime;
+        time: TransportOptimizer.formatTime(leg.departureTime)
+      };
     }
 
-    return steps;
+    return {
+      type: 'walk',
+      label: 'Marche à pied',
+      duration: minutes,
+      distance: leg.distance,
+      description: `Marchez jusqu'à ${leg.to.name}`,
+      icon: 'walk',
+      time: TransportOptimizer.formatTime(leg.departureTime)
+    };
   };
 
-  const steps = generateDetailedSteps();
+  const steps = route.legs.map(leg => ({ ...describeLeg(leg), accessibility: leg.accessibility }));
 
   return (
     <div className="bg-white rounded-2xl p-6 shadow-lg">
@@ -509,7 +771,7 @@ function DetailsPanel({ route }) {
               {step.type === 'walk' && (
                 <div className="bg-gray-50 p-3 rounded-lg">
                   <div className="text-sm text-gray-700 font-medium">
-                    Marche à pied • {step.duration} min • {step.distance}m
+                    {step.label} • {step.duration} min • {step.distance}m
                   </div>
                   {step.time && <div className="text-xs text-gray-500 mt-1">Heure de départ: {step.time}</div>}
                 </div>
@@ -525,6 +787,11 @@ function DetailsPanel({ route }) {
                       {step.line}
                     </div>
                     <span className="text-sm font-medium text-gray-700">{step.stops} arrêts</span>
+                    {step.delay !== null && (
+                      <span className={`text-xs font-semibold ${step.delay > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {step.delay > 0 ? `Retard +${step.delay} min` : "À l'heure"}
+                      </span>
+                    )}
                   </div>
                   <div className="space-y-2 text-sm text-gray-700">
                     <div className="flex items-center gap-2">
@@ -549,6 +816,13 @@ function DetailsPanel({ route }) {
                   {step.time && <div className="text-xs text-gray-600 mt-1">Heure: {step.time}</div>}
                 </div>
               )}
+
+              {step.accessibility && step.accessibility.status !== 'accessible' && (
+                <div className="mt-2 text-xs text-orange-700 flex items-start gap-2">
+                  <Accessibility className="w-4 h-4 flex-shrink-0" />
+                  <span>{step.accessibility.reasons.join(' • ')}</span>
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -557,13 +831,282 @@ function DetailsPanel({ route }) {
   );
 }
 
+function AlternativesList({ routes, selectedIndex, onSelect }) {
+  if (routes.length < 2) return null;
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-lg">
+      <div className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-3">
+        <TrendingUp className="w-5 h-5 text-blue-600" />
+        Alternatives classées
+      </div>
+      <div className="grid md:grid-cols-3 gap-3">
+        {routes.map((alternative, i) => (
+          <button
+            key={alternative.id}
+            onClick={() => onSelect(i)}
+            className={`text-left p-3 rounded-xl border-2 transition-colors ${
+              i === selectedIndex ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-blue-300'
+            }`}
+          >
+            <div className="flex justify-between items-center">
+              <span className="font-semibold text-gray-800">#{alternative.rank} {alternative.name}</span>
+              <span className="text-lg font-bold text-blue-600">{alternative.score.total}</span>
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              {alternative.duration} min • {alternative.transfers} correspondance(s) • {alternative.walkingDistance}m à pied
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function IsochroneLegend({ isochrones, onClose }) {
+  const features = [...isochrones.features].sort((a, b) => a.properties.minutes - b.properties.minutes);
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+          <Clock className="w-5 h-5 text-blue-600" />
+          Zones accessibles — {ISOCHRONE_MODES[isochrones.mode]}
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label="Masquer les zones accessibles"
+          className="p-1 rounded-lg text-gray-500 hover:bg-gray-100"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+        {features.map(({ properties }) => (
+          <div key={properties.minutes} className="flex items-center gap-2">
+            <span
+              className="w-4 h-4 rounded"
+              style={{ backgroundColor: TransportOptimizer.isochroneColor(properties.minutes, features) }}
+            />
+            <span className="font-semibold text-gray-800">{properties.minutes} min</span>
+            <span>{properties.area} km²</span>
+            {properties.reachableStops !== undefined && <span>• {properties.reachableStops} arrêt(s)</span>}
+          </div>
+        ))}
+      </div>
+      {isochrones.approximate && (
+        <p className="text-xs text-orange-600 mt-3">
+          Zones estimées sans le réseau routier (aucun fournisseur d'isochrones disponible)
+        </p>
+      )}
+    </div>
+  );
+}
+
+function ModeComparison({ comparison, onClose }) {
+  const { transitVsDriving: versus, currency } = comparison;
+  const badges = mode => [
+    comparison.fastest === mode && "Le plus rapide",
+    comparison.cheapest === mode && "Le moins cher",
+    comparison.lowestEmissions === mode && "Le moins émetteur"
+  ].filter(Boolean);
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+          <Scale className="w-5 h-5 text-blue-600" />
+          Comparaison des modes
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label="Masquer la comparaison"
+          className="p-1 rounded-lg text-gray-500 hover:bg-gray-100"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {versus && (
+        <div className={`mb-3 p-3 rounded-xl text-sm ${versus.transitFaster ? 'bg-green-50 text-green-800' : 'bg-blue-50 text-blue-800'}`}>
+          {versus.transitFaster
+            ? `Le transport public bat la voiture de ${versus.timeSaved} min`
+            : `La voiture est plus rapide de ${-versus.timeSaved} min`}
+          {versus.emissionsSaved > 0 && ` • ${TransportOptimizer.formatEmissions(versus.emissionsSaved)} évités en transport public`}
+          {versus.costSaved > 0 && ` • ${versus.costSaved} ${currency} économisés`}
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-4 gap-3">
+        {comparison.modes.map(result => {
+          const { label, Icon } = COMPARISON_MODES[result.mode];
+          return (
+            <div key={result.mode} className="p-3 rounded-xl border-2 border-gray-200">
+              <div className="flex items-center gap-2 font-semibold text-gray-800 mb-2">
+                <Icon className="w-5 h-5 text-blue-600" />
+                {label}
+              </div>
+              {result.available ? (
+                <>
+                  <div className="text-2xl font-bold text-gray-800">{result.duration} min</div>
+                  <div className="text-xs text-gray-500 space-y-0.5 mt-1">
+                    <div>{(result.distance / 1000).toFixed(1)} km{result.name && ` • ${result.name}`}</div>
+                    {result.waitingTime > 0 && <div>Attente {result.waitingTime} min</div>}
+                    <div>{result.cost} {currency} • {TransportOptimizer.formatEmissions(result.emissions)}</div>
+                    {result.fallback && <div className="text-orange-600">Estimation approximative</div>}
+                  </div>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {badges(result.mode).map(badge => (
+                      <span key={badge} className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">{badge}</span>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <div className="text-xs text-gray-500">{result.reason}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 export default function TransportOptimizerApp() {
   const [origin, setOrigin] = useState("");
   const [destination, setDestination] = useState("");
-  const [route, setRoute] = useState(null);
+  const [originPlace, setOriginPlace] = useState(null);
+  const [destinationPlace, setDestinationPlace] = useState(null);
+  const [stops, setStops] = useState([]);
+  const [optimizeOrder, setOptimizeOrder] = useState(false);
+  const [wheelchair, setWheelchair] = useState(false);
+  const [timeMode, setTimeMode] = useState("now");
+  const [timeValue, setTimeValue] = useState("");
+  const [isochrones, setIsochrones] = useState(null);
+  const [isochroneMode, setIsochroneMode] = useState("transit");
+  const [loadingIsochrones, setLoadingIsochrones] = useState(false);
+  const [comparison, setComparison] = useState(null);
+  const [loadingComparison, setLoadingComparison] = useState(false);
+  const [routes, setRoutes] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(0);
   const [loading, setLoading] = useState(false);
+  const [locating, setLocating] = useState(false);
   const [error, setError] = useState("");
 
+  const route = routes[selectedIndex] || null;
+
+  const handleLocate = () => {
+    if (!navigator.geolocation) {
+      setError("La géolocalisation n'est pas disponible sur ce navigateur");
+      return;
+    }
+
+    setLocating(true);
+    setError("");
+    navigator.geolocation.getCurrentPosition(
+      async ({ coords }) => {
+        const lat = coords.latitude;
+        const lon = coords.longitude;
+        let label = `Ma position (${lat.toFixed(5)}, ${lon.toFixed(5)})`;
+        try {
+          const res = await fetch(`${API_URL}/api/geocode/reverse?lat=${lat}&lon=${lon}`);
+          if (res.ok) label = (await res.json()).display_name;
+        } catch {}
+
+        setOrigin(label);
+        setOriginPlace({ lat, lon, display_name: label });
+        setLocating(false);
+      },
+      () => {
+        setError("Impossible d'obtenir votre position");
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  };
+
+  const addStop = () => {
+    setStops(current => [...current, { id: Date.now(), text: "", place: null }]);
+  };
+
+  const updateStop = (id, changes) => {
+    setStops(current => current.map(stop => (stop.id === id ? { ...stop, ...changes } : stop)));
+  };
+
+  const removeStop = id => {
+    setStops(current => current.filter(stop => stop.id !== id));
+  };
+
+  const moveStop = (index, offset) => {
+    setStops(current => {
+      const next = [...current];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const geocode = async (text, message) => {
+    const res = await fetch(`${API_URL}/api/geocode?address=${encodeURIComponent(text)}`);
+    if (!res.ok) throw new Error(message);
+    return res.json();
+  };
+
+  const handleIsochrones = async () => {
+    if (!origin) {
+      setError("Veuillez saisir l'origine");
+      return;
+    }
+
+    setLoadingIsochrones(true);
+    setError("");
+
+    try {
+      const geoOrigin = originPlace || await geocode(origin, 'Adresse d\'origine introuvable');
+      const res = await fetch(
+        `${API_URL}/api/isochrones?lat=${geoOrigin.lat}&lon=${geoOrigin.lon}&mode=${isochroneMode}&minutes=10,20,30`
+      );
+      if (!res.ok) throw new Error('Erreur lors du calcul des zones accessibles');
+      setIsochrones(await res.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingIsochrones(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!origin || !destination) {
+      setError("Veuillez saisir l'origine et la destination");
+      return;
+    }
+
+    setLoadingComparison(true);
+    setError("");
+
+    try {
+      const geoOrigin = originPlace || await geocode(origin, 'Adresse d\'origine introuvable');
+      const geoDest = destinationPlace || await geocode(destination, 'Adresse de destination introuvable');
+      const res = await fetch(`${API_URL}/api/routes/compare`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          origin: { lat: geoOrigin.lat, lon: geoOrigin.lon, display_name: geoOrigin.display_name },
+          destination: { lat: geoDest.lat, lon: geoDest.lon, display_name: geoDest.display_name },
+          ...(timeMode !== "now" && timeValue && { [timeMode]: timeValue }),
+          ...(wheelchair && { accessibility: 'wheelchair' })
+        })
+      });
+      if (!res.ok) throw new Error('Erreur lors de la comparaison des modes');
+      setComparison(await res.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingComparison(false);
+    }
+  };
+
   const handleSearch = async () => {
     if (!origin || !destination) {
       setError("Veuillez saisir l'origine et la destination");
@@ -572,37 +1115,41 @@ export default function TransportOptimizerApp() {
 
     setLoading(true);
     setError("");
-    setRoute(null);
+    setRoutes([]);
+    setSelectedIndex(0);
 
     try {
-      const geoOrigin = await fetch(`${API_URL}/api/geocode?address=${encodeURIComponent(origin)}`).then(r => {
-        if (!r.ok) throw new Error('Adresse d\'origine introuvable');
-        return r.json();
-      });
+      const geoOrigin = originPlace || await geocode(origin, 'Adresse d\'origine introuvable');
+      const geoDest = destinationPlace || await geocode(destination, 'Adresse de destination introuvable');
 
-      const geoDest = await fetch(`${API_URL}/api/geocode?address=${encodeURIComponent(destination)}`).then(r => {
-        if (!r.ok) throw new Error('Adresse de destination introuvable');
-        return r.json();
-      });
+      const activeStops = stops.filter(stop => stop.text.trim());
+      const geoStops = [];
+      for (const [i, stop] of activeStops.entries()) {
+        geoStops.push(stop.place || await geocode(stop.text, `Étape ${i + 1} introuvable`));
+      }
 
       const optimizeResponse = await fetch(`${API_URL}/api/routes/optimize`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          origin: { lat: geoOrigin.lat, lon: geoOrigin.lon },
-          destination: { lat: geoDest.lat, lon: geoDest.lon }
+          origin: { lat: geoOrigin.lat, lon: geoOrigin.lon, display_name: geoOrigin.display_name },
+          destination: { lat: geoDest.lat, lon: geoDest.lon, display_name: geoDest.display_name },
+          via: geoStops.map(place => ({ lat: place.lat, lon: place.lon, display_name: place.display_name })),
+          optimizeOrder,
+          ...(timeMode !== "now" && timeValue && { [timeMode]: timeValue }),
+          ...(wheelchair && { accessibility: 'wheelchair' })
         })
       });
 
       if (!optimizeResponse.ok) throw new Error('Erreur lors de l\'optimisation');
 
       const data = await optimizeResponse.json();
-      const bestRoute = TransportOptimizer.generateBestRoute(
-        geoOrigin.lat, geoOrigin.lon, geoDest.lat, geoDest.lon,
-        data.route, data.route.traffic, data.transportLines
-      );
-
-      setRoute(bestRoute);
+      setRoutes(data.routes);
+      if (optimizeOrder && activeStops.length > 1) {
+        setStops(data.order.map(i => ({ ...activeStops[i], place: geoStops[i] })));
+      }
+      TransportOptimizer.saveLocation(geoOrigin);
+      TransportOptimizer.saveLocation(geoDest);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -625,26 +1172,177 @@ export default function TransportOptimizerApp() {
           </div>
 
           <div className="grid md:grid-cols-2 gap-4 mb-4">
-            <div className="relative">
-              <MapPin className="absolute left-3 top-3.5 w-5 h-5 text-green-500" />
+            <AddressInput
+              value={origin}
+              placeholder="Origine (ex: Casa Port, Casablanca)"
+              iconClassName="text-green-500"
+              onChange={text => {
+                setOrigin(text);
+                setOriginPlace(null);
+              }}
+              onSelect={place => {
+                setOrigin(place.display_name);
+                setOriginPlace(place);
+              }}
+              onSubmit={handleSearch}
+              action={
+                <button
+                  type="button"
+                  onClick={handleLocate}
+                  disabled={locating}
+                  title="Utiliser ma position"
+                  aria-label="Utiliser ma position"
+                  className="absolute right-2 top-2 p-1.5 rounded-lg text-gray-500 hover:text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+                >
+                  <Crosshair className={`w-5 h-5 ${locating ? 'animate-pulse' : ''}`} />
+                </button>
+              }
+            />
+            <AddressInput
+              value={destination}
+              placeholder="Destination (ex: Morocco Mall, Casablanca)"
+              iconClassName="text-red-500"
+              onChange={text => {
+                setDestination(text);
+                setDestinationPlace(null);
+              }}
+              onSelect={place => {
+                setDestination(place.display_name);
+                setDestinationPlace(place);
+              }}
+              onSubmit={handleSearch}
+            />
+          </div>
+
+          {stops.length > 0 && (
+            <div className="space-y-2 mb-4">
+              {stops.map((stop, index) => (
+                <div key={stop.id} className="flex items-center gap-2">
+                  <span className="w-6 h-6 flex-shrink-0 rounded-full bg-blue-600 text-white text-xs font-bold flex items-center justify-center">
+                    {index + 1}
+                  </span>
+                  <div className="flex-1">
+                    <AddressInput
+                      value={stop.text}
+                      placeholder={`Étape ${index + 1}`}
+                      iconClassName="text-blue-500"
+                      onChange={text => updateStop(stop.id, { text, place: null })}
+                      onSelect={place => updateStop(stop.id, { text: place.display_name, place })}
+                      onSubmit={handleSearch}
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => moveStop(index, -1)}
+                    disabled={index === 0}
+                    aria-label="Monter l'étape"
+                    className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveStop(index, 1)}
+                    disabled={index === stops.length - 1}
+                    aria-label="Descendre l'étape"
+                    className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeStop(stop.id)}
+                    aria-label="Supprimer l'étape"
+                    className="p-2 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <button
+              type="button"
+              onClick={addStop}
+              disabled={stops.length >= 10}
+              className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+            >
+              <Plus className="w-4 h-4" />
+              Ajouter une étape
+            </button>
+            {stops.length > 1 && (
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={optimizeOrder}
+                  onChange={e => setOptimizeOrder(e.target.checked)}
+                />
+                Optimiser l'ordre des étapes
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-600">
               <input
-                className="border-2 border-gray-200 p-3 pl-10 rounded-xl w-full focus:outline-none focus:border-blue-500"
-                placeholder="Origine (ex: Casa Port, Casablanca)"
-                value={origin}
-                onChange={e => setOrigin(e.target.value)}
-                onKeyPress={e => e.key === 'Enter' && handleSearch()}
+                type="checkbox"
+                checked={wheelchair}
+                onChange={e => setWheelchair(e.target.checked)}
               />
+              <Accessibility className="w-4 h-4" />
+              Accessible en fauteuil roulant
+            </label>
+            <div className="flex items-center gap-2 ml-auto">
+              <select
+                value={isochroneMode}
+                onChange={e => setIsochroneMode(e.target.value)}
+                aria-label="Mode des zones accessibles"
+                className="text-sm border border-gray-300 rounded-lg p-1.5 text-gray-700"
+              >
+                {Object.entries(ISOCHRONE_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>{label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleIsochrones}
+                disabled={loadingIsochrones}
+                className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+              >
+                <Clock className={`w-4 h-4 ${loadingIsochrones ? 'animate-pulse' : ''}`} />
+                Zones accessibles en 10/20/30 min
+              </button>
             </div>
-            <div className="relative">
-              <MapPin className="absolute left-3 top-3.5 w-5 h-5 text-red-500" />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <select
+              value={timeMode}
+              onChange={e => setTimeMode(e.target.value)}
+              aria-label="Horaire du trajet"
+              className="text-sm border border-gray-300 rounded-lg p-2 text-gray-700"
+            >
+              <option value="now">Partir maintenant</option>
+              <option value="departAt">Partir à</option>
+              <option value="arriveBy">Arriver avant</option>
+            </select>
+            {timeMode !== "now" && (
               <input
-                className="border-2 border-gray-200 p-3 pl-10 rounded-xl w-full focus:outline-none focus:border-blue-500"
-                placeholder="Destination (ex: Morocco Mall, Casablanca)"
-                value={destination}
-                onChange={e => setDestination(e.target.value)}
-                onKeyPress={e => e.key === 'Enter' && handleSearch()}
+                type="datetime-local"
+                value={timeValue}
+                onChange={e => setTimeValue(e.target.value)}
+                aria-label="Date et heure"
+                className="text-sm border border-gray-300 rounded-lg p-2 text-gray-700"
               />
-            </div>
+            )}
+            <button
+              type="button"
+              onClick={handleCompare}
+              disabled={loadingComparison}
+              className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-400 ml-auto"
+            >
+              <Scale className={`w-4 h-4 ${loadingComparison ? 'animate-pulse' : ''}`} />
+              Comparer voiture, vélo, marche et transport public
+            </button>
           </div>
 
           <button
@@ -675,15 +1373,23 @@ export default function TransportOptimizerApp() {
           )}
         </header>
 
-        {route && (
+        {(route || isochrones || comparison) && (
           <div className="space-y-6">
-            <RouteSummaryCard route={route} />
+            {comparison && <ModeComparison comparison={comparison} onClose={() => setComparison(null)} />}
+
+            {route && <AlternativesList routes={routes} selectedIndex={selectedIndex} onSelect={setSelectedIndex} />}
+
+            {route && <RouteSummaryCard route={route} />}
             
-            <div className="bg-white rounded-2xl p-4 shadow-lg" style={{height: '500px'}}>
-              <LeafletMap route={route} />
-            </div>
+            {(route || isochrones) && (
+              <div className="bg-white rounded-2xl p-4 shadow-lg" style={{height: '500px'}}>
+                <LeafletMap route={route} isochrones={isochrones} />
+              </div>
+            )}
+
+            {isochrones && <IsochroneLegend isochrones={isochrones} onClose={() => setIsochrones(null)} />}
             
-            <DetailsPanel route={route} />
+            {route && <DetailsPanel route={route} />}
           </div>
         )}
       </div>